@@ -1,19 +1,109 @@
 /**
  * Advanced Baby Vision Simulator - Main Application
  * Camera handling, UI controls, and rendering loop
- * Vision processing handled by vision.js module
+ * Vision processing handled by vision.js module, off the main thread
+ * in vision.worker.js where OffscreenCanvas is available
  */
 
 import {
   AGE_PRESETS,
-  applyInfantColorVision,
-  applyPeripheralVision,
-  applySpatialFrequencyFilter,
-  applyLMSColorProcessing,
-  applyOpticalEffects,
-  applyNeuralEffects,
-  applyTemporalIntegration,
+  WEEKS_PER_MONTH,
+  VISION_CONSTANTS,
+  DEFAULT_CAMERA_HFOV_DEG,
+  DEFAULT_FIXATION,
+  getPresetForAge,
+  formatSnellen,
+  estimatePixelsPerDegree,
+  getFocalRange,
+  createDepthMap,
 } from "./vision.js";
+import {
+  PIPELINE_STAGES,
+  getStageParams,
+  createViewCache,
+  resetViewCache,
+  pruneViewCache,
+  renderView,
+} from "./pipeline.js";
+import "./stage-plugins.js";
+import {
+  CAMERA_RESOLUTIONS,
+  CAMERA_ERRORS,
+  isCameraSupported,
+  getCameraConstraints,
+  getCameraErrorKind,
+  getLabelFacingMode,
+  getCameraLabel,
+  getFlippedChoice,
+  loadCameraChoice,
+  saveCameraChoice,
+} from "./camera.js";
+import {
+  CREDIT_CARD_WIDTH_MM,
+  computeCameraHfov,
+  getCroppedHfov,
+  loadCalibration,
+  saveCalibration,
+  clearCalibration,
+} from "./calibration.js";
+import {
+  MAX_RECORDING_BYTES,
+  isRecordingSupported,
+  createSnapshotCanvas,
+  canvasToBlob,
+  downloadBlob,
+  getCaptureFilename,
+  startRecording,
+} from "./capture.js";
+import {
+  SESSION_EXTENSION,
+  MAX_SESSION_BYTES,
+  createSession,
+  recordSessionFrame,
+  markSessionReset,
+  getSessionDuration,
+  readSession,
+  encodeSession,
+  decodeSession,
+} from "./session.js";
+import {
+  PROFILE_FIELDS,
+  getProfileField,
+  setProfileField,
+  validateProfile,
+  parseProfileJson,
+  serializeProfile,
+  loadCustomProfiles,
+  saveCustomProfile,
+  deleteCustomProfile,
+} from "./profiles.js";
+import {
+  MIN_SPLIT,
+  MAX_SPLIT,
+  getProfileOverrides,
+  encodeLinkState,
+  decodeLinkState,
+} from "./link-state.js";
+import {
+  findFixationTarget,
+  getGazeGridSize,
+  createGazeState,
+  updateGaze,
+} from "./gaze.js";
+import {
+  CONDITIONS,
+  getActiveConditions,
+  getConditionPreset,
+  formatSeverity,
+} from "./conditions.js";
+import {
+  STIMULUS_KINDS,
+  WAVEFORMS,
+  DEFAULT_STIMULUS,
+  getMaxStimulusCPD,
+  renderStimulus,
+  describeStimulus,
+} from "./stimuli.js";
 
 /**
  * DOM elements
@@ -22,19 +112,196 @@ const videoElement = document.getElementById("cameraVideo");
 const outputCanvas = document.getElementById("outputCanvas");
 const infoPanel = document.getElementById("infoPanel");
 const mirrorToggle = document.getElementById("mirrorToggle");
-const peripheralBlurToggle = document.getElementById("peripheralBlurToggle");
+const ageSlider = document.getElementById("ageSlider");
+const ageValue = document.getElementById("ageValue");
+const ageUnit = document.getElementById("ageUnit");
+const ageAcuity = document.getElementById("ageAcuity");
+const ageScale = document.getElementById("ageScale");
+const ageProfiles = document.getElementById("ageProfiles");
+const stageToggles = document.getElementById("stageToggles");
+const sourceButtons = document.querySelectorAll(".source-option");
+const sourceFileInput = document.getElementById("sourceFileInput");
+const dropOverlay = document.getElementById("dropOverlay");
+const settingsPanel = document.querySelector(".settings-panel");
+const fovStatus = document.getElementById("fovStatus");
+const calibrateButton = document.getElementById("calibrateButton");
+const calibrationGuide = document.getElementById("calibrationGuide");
+const calibrationPanel = document.getElementById("calibrationPanel");
+const calibrationWidth = document.getElementById("calibrationWidth");
+const calibrationDistance = document.getElementById("calibrationDistance");
+const calibrationSpan = document.getElementById("calibrationSpan");
+const calibrationResult = document.getElementById("calibrationResult");
+const stimulusPanel = document.getElementById("stimulusPanel");
+const stimulusKind = document.getElementById("stimulusKind");
+const stimulusCpd = document.getElementById("stimulusCpd");
+const stimulusContrast = document.getElementById("stimulusContrast");
+const stimulusWaveform = document.getElementById("stimulusWaveform");
+const stimulusOrientation = document.getElementById("stimulusOrientation");
+const stimulusSide = document.getElementById("stimulusSide");
+const stimulusNote = document.getElementById("stimulusNote");
+const distanceSlider = document.getElementById("distanceSlider");
+const distanceValue = document.getElementById("distanceValue");
+const distanceDescription = document.getElementById("distanceDescription");
+const depthStatus = document.getElementById("depthStatus");
+const depthButton = document.getElementById("depthButton");
+const depthFileInput = document.getElementById("depthFileInput");
+const viewButtons = document.querySelectorAll(".view-option");
+const splitDivider = document.getElementById("splitDivider");
+const topBar = document.querySelector(".top-bar");
+const snapshotButton = document.getElementById("snapshotButton");
+const recordButton = document.getElementById("recordButton");
+const recordingStatus = document.getElementById("recordingStatus");
+const captionToggle = document.getElementById("captionToggle");
+const copyLinkButton = document.getElementById("copyLinkButton");
+const sessionStatus = document.getElementById("sessionStatus");
+const sessionRecordButton = document.getElementById("sessionRecordButton");
+const replayStatus = document.getElementById("replayStatus");
+const replayButton = document.getElementById("replayButton");
+const sessionFileInput = document.getElementById("sessionFileInput");
+const fixationMarker = document.getElementById("fixationMarker");
+const autoGazeToggle = document.getElementById("autoGazeToggle");
+const darkeningToggle = document.getElementById("darkeningToggle");
+const conditionControls = document.getElementById("conditionControls");
+const binocularToggle = document.getElementById("binocularToggle");
+const anaglyphToggle = document.getElementById("anaglyphToggle");
+const sideBySideToggle = document.getElementById("sideBySideToggle");
+const linkStatus = document.getElementById("linkStatus");
+const profileEditorButton = document.getElementById("profileEditorButton");
+const profileEditor = document.getElementById("profileEditor");
+const profileName = document.getElementById("profileName");
+const profileSelect = document.getElementById("profileSelect");
+const profileFields = document.getElementById("profileFields");
+const profileError = document.getElementById("profileError");
+const profileFileInput = document.getElementById("profileFileInput");
+const cameraSelect = document.getElementById("cameraSelect");
+const cameraStatus = document.getElementById("cameraStatus");
+const cameraResolutionSelect = document.getElementById(
+  "cameraResolutionSelect"
+);
+const cameraFlipButton = document.getElementById("cameraFlipButton");
+const errorScreen = document.getElementById("errorScreen");
+const errorTitle = document.getElementById("errorTitle");
+const errorText = document.getElementById("errorText");
+const errorSteps = document.getElementById("errorSteps");
+const errorMessage = document.getElementById("errorMessage");
+const errorRetry = document.getElementById("errorRetry");
+const errorDismiss = document.getElementById("errorDismiss");
 
 /**
  * Canvas contexts and processing buffers
+ * Each frame is captured once into captureBuffer; every view on screen is
+ * rendered from that capture with its own buffers and state in viewCache
  */
 let outputCtx;
-let processingCanvases = {};
-let selectedAge = 1;
+let captureBuffer = null;
+let viewCache = createViewCache((w, h) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  return canvas;
+});
+let selectedAge = Math.round(WEEKS_PER_MONTH); // weeks, or a profile key like "adult"
+let currentPreset = getPresetForAge(selectedAge);
+let customPreset = null; // set while a custom vision profile replaces the age
 let isMirrored = true;
-let enablePeripheralBlend = true;
+let linkedMirror = null; // mirror setting from a link, for the first source
+let enabledStages = Object.fromEntries(
+  PIPELINE_STAGES.map((stage) => [stage.id, true])
+);
+let stageParams = {}; // {stageId: {key: value}} from the stage sliders
+const stageParamInputs = new Map(); // "stageId.key" -> {input, value}
 let animationFrameId = null;
 let frameCount = 0;
 
+/**
+ * Input source: live camera, still image, looping video file or test stimulus
+ * Camera and video files play through videoElement, images through
+ * sourceImage, and stimuli are drawn into stimulusCanvas at the canvas size
+ */
+let sourceKind = "camera";
+let sourceImage = null;
+let sourceObjectUrl = null;
+let stimulus = {...DEFAULT_STIMULUS};
+let stimulusCanvas = null;
+let stimulusKey = null; // size, FOV and settings stimulusCanvas was drawn for
+
+/**
+ * Camera field of view, calibrated per device (see calibration.js)
+ * File sources use the default assumption
+ */
+let cameraDeviceId = null;
+let cameraCalibration = {hfovDeg: DEFAULT_CAMERA_HFOV_DEG, calibrated: false};
+
+/**
+ * Camera to open (see camera.js), the cameras present, and which way the
+ * open one faces: only a camera facing the user is mirrored by default
+ */
+let cameraChoice = loadCameraChoice();
+let cameraDevices = []; // "videoinput" MediaDeviceInfo entries
+let cameraFacingMode = "user";
+let cameraRequestId = 0; // the newest startCamera call; older ones give way
+let cameraErrorKind = null; // recovery screen on show (CAMERA_ERRORS key)
+
+/**
+ * Scene distance for the focus stage: one distance for the whole view, or a
+ * grayscale depth map aligned with the current file source
+ */
+let objectDistanceCm = 100 / VISION_CONSTANTS.RESTING_FOCUS_D;
+let depthMapImage = null;
+let depthMapUrl = null;
+let depthMapCache = null;
+
+/**
+ * View mode: "single", "split" (adult | current age, draggable divider) or
+ * "grid" (every age preset side by side)
+ */
+let viewMode = "single";
+let splitPosition = 0.5;
+
+/**
+ * Fixation point, as fractions of the view: set by dragging the marker or
+ * steered by auto gaze towards high-contrast regions of the processed frame
+ */
+let fixation = {...DEFAULT_FIXATION};
+let autoGaze = false;
+let peripheralDarkening = false; // vignette on top of the foveated blur
+let gazeState = createGazeState();
+let gazeBuffer = null;
+
+/**
+ * Binocular view: null for one eye, else "fused" or "anaglyph". The eyes'
+ * views come from a side-by-side stereo source, or from the depth map
+ */
+let binocular = null;
+let sideBySide = false;
+
+/**
+ * Eye condition severities from 0 (off) to 1, keyed by condition id
+ * They apply to every view except the adult reference pane
+ */
+let conditions = {};
+
+/**
+ * Active WebM recording of the output canvas, if any
+ */
+let recording = null;
+let recordingTimerId = null;
+
+/**
+ * Session being recorded (captured source frames and settings, see
+ * session.js), and the session replayed in place of the source, if any
+ */
+let sessionRecording = null;
+let replay = null; // {session, frames: readSession iterator, frame}
+
+/**
+ * Vision worker state
+ * At most one frame is in flight; frames captured while it is busy are dropped
+ */
+let visionWorker = null;
+let workerBusy = false;
+let droppedFrames = 0;
+
 /**
  * Initialize processing canvases
  */
@@ -55,29 +322,124 @@ function setupCanvases(width, height) {
 
   console.log("Output canvas setup complete. Context:", outputCtx);
 
-  // Create multiple processing buffers
-  const canvasNames = [
-    "input",
-    "frequency",
-    "color",
-    "spatial",
-    "temporal",
-    "final",
-  ];
-  canvasNames.forEach((name) => {
-    const canvas = document.createElement("canvas");
-    canvas.width = width;
-    canvas.height = height;
-    processingCanvases[name] = {
-      canvas: canvas,
-      ctx: canvas.getContext("2d", {alpha: false, willReadFrequently: true}),
-    };
-  });
+  // Shared capture; per-view stage buffers are created on first use
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  captureBuffer = {
+    canvas: canvas,
+    ctx: canvas.getContext("2d", {alpha: false, willReadFrequently: true}),
+  };
+
+  console.log("Capture canvas created");
+  resetTemporalState();
+}
+
+/**
+ * Restart frame-to-frame state, here and in the worker
+ */
+function resetTemporalState() {
+  resetViewCache(viewCache);
+  if (visionWorker) visionWorker.postMessage({type: "reset"});
+  if (sessionRecording) markSessionReset(sessionRecording);
+}
+
+/**
+ * Start the vision worker if the browser supports OffscreenCanvas
+ * Without it, processFrame runs the pipeline on the main thread
+ */
+function startVisionWorker() {
+  if (
+    typeof Worker === "undefined" ||
+    typeof OffscreenCanvas === "undefined" ||
+    typeof createImageBitmap === "undefined"
+  ) {
+    console.log("OffscreenCanvas unavailable, processing on main thread");
+    return;
+  }
+
+  try {
+    visionWorker = new Worker(new URL("./vision.worker.js", import.meta.url), {
+      type: "module",
+    });
+  } catch (error) {
+    console.error("Unable to start vision worker:", error);
+    visionWorker = null;
+    return;
+  }
+
+  visionWorker.onmessage = handleWorkerMessage;
+  visionWorker.onerror = (event) => {
+    console.error("Vision worker failed:", event.message);
+    stopVisionWorker();
+  };
+  console.log("Vision worker started");
+}
+
+function stopVisionWorker() {
+  if (!visionWorker) return;
+  visionWorker.terminate();
+  visionWorker = null;
+  workerBusy = false;
+  console.log("Falling back to main thread processing");
+}
+
+function handleWorkerMessage(event) {
+  const message = event.data;
+
+  if (message.type === "error") {
+    console.error("Vision worker error:", message.message);
+    stopVisionWorker();
+    return;
+  }
+
+  workerBusy = false;
+  const layout = pendingLayout;
+  const bitmaps = new Map(message.views.map((view) => [view.id, view.bitmap]));
 
-  console.log("All processing canvases created");
+  // Ignore results rendered for a previous canvas size
+  if (
+    outputCtx &&
+    layout &&
+    layout.width === outputCanvas.width &&
+    layout.height === outputCanvas.height
+  ) {
+    drawViews(layout, (view) => bitmaps.get(view.id));
+    if (!layout.replay) trackGaze(layout, (view) => bitmaps.get(view.id));
+  }
+  bitmaps.forEach((bitmap) => bitmap.close());
 }
 
-// Vision processing functions are now in vision.js
+/**
+ * Hand the captured input to the worker without blocking the render loop
+ * The layout is kept until the reply arrives so the panes line up with it
+ */
+let pendingLayout = null;
+
+async function submitFrameToWorker(layout, settings) {
+  workerBusy = true;
+
+  try {
+    const bitmap = await createImageBitmap(captureBuffer.canvas);
+    if (!visionWorker) {
+      bitmap.close();
+      return;
+    }
+    pendingLayout = layout;
+    const views = layout.views.map(({id, preset, width, height}) => ({
+      id,
+      preset,
+      width,
+      height,
+    }));
+    visionWorker.postMessage({type: "frame", bitmap, views, settings}, [
+      bitmap,
+    ]);
+  } catch (error) {
+    console.error("Error sending frame to vision worker:", error);
+    workerBusy = false;
+  }
+}
 
 /**
  * Main processing pipeline
@@ -96,147 +458,381 @@ function processFrame() {
     return;
   }
 
-  if (!videoElement || videoElement.readyState < 2) {
-    console.log("Video not ready, skipping frame");
+  if (replay) {
+    processReplayFrame(width, height);
+    return;
+  }
+
+  if (!isSourceReady()) {
+    console.log("Source not ready, skipping frame");
+    return;
+  }
+
+  // Drop this frame if the worker is still busy with the previous one
+  if (visionWorker && workerBusy) {
+    droppedFrames++;
     return;
   }
 
-  // Step 1: Draw base video with mirroring and aspect-ratio preserving crop (object-fit: cover)
+  // Step 1: Capture input with mirroring and aspect-ratio preserving crop (object-fit: cover)
+  // A side-by-side stereo source is captured as two eye views next to each
+  // other; mirroring the pair also swaps the eyes, as in a real mirror
+  const eyeCount = sideBySide ? 2 : 1;
+  const captureWidth = width * eyeCount;
+  if (sourceKind === "stimulus") updateStimulusImage();
+  if (captureBuffer.canvas.width !== captureWidth) {
+    captureBuffer.canvas.width = captureWidth;
+  }
+  const inputCtx = captureBuffer.ctx;
   try {
-    outputCtx.save();
+    inputCtx.save();
     if (isMirrored) {
-      outputCtx.translate(width, 0);
-      outputCtx.scale(-1, 1);
+      inputCtx.translate(captureWidth, 0);
+      inputCtx.scale(-1, 1);
     }
 
-    const vW = videoElement.videoWidth || width;
-    const vH = videoElement.videoHeight || height;
-    const videoAR = vW / vH;
-    const canvasAR = width / height;
-
-    let sx = 0;
-    let sy = 0;
-    let sWidth = vW;
-    let sHeight = vH;
-
-    if (canvasAR > videoAR) {
-      // Canvas is wider than video: crop vertically
-      sHeight = Math.round(vW / canvasAR);
-      sy = Math.max(0, Math.floor((vH - sHeight) / 2));
-    } else {
-      // Canvas is taller than video: crop horizontally
-      sWidth = Math.round(vH * canvasAR);
-      sx = Math.max(0, Math.floor((vW - sWidth) / 2));
+    const source = getSourceElement();
+    const {sx, sy, sWidth, sHeight} = getSourceCrop(width, height);
+    const eyeWidth = getSourceSize(width, height).width;
+    for (let eye = 0; eye < eyeCount; eye++) {
+      inputCtx.drawImage(
+        source,
+        sx + eye * eyeWidth,
+        sy,
+        sWidth,
+        sHeight,
+        eye * width,
+        0,
+        width,
+        height
+      );
     }
-
-    outputCtx.drawImage(
-      videoElement,
-      sx,
-      sy,
-      sWidth,
-      sHeight,
-      0,
-      0,
-      width,
-      height
-    );
-    outputCtx.restore();
+    inputCtx.restore();
   } catch (error) {
-    console.error("Error drawing video to canvas:", error);
+    console.error("Error drawing source to canvas:", error);
     return;
   }
 
-  // Step 2: Apply proper infant color vision (black/white/red dominance)
-  const preset = AGE_PRESETS[selectedAge];
-  const blurAmount = Math.max(0, (4 - selectedAge) * 2);
+  // Step 2: Run the enabled stages in order for every view of the capture
+  const layout = getViewLayout(width, height);
+  const settings = {
+    enabledStages,
+    stageParams,
+    hfovDeg: getDisplayHfov(),
+    objectDistanceCm,
+    depthMap: getDepthMap(width, height),
+    fixation,
+    peripheralDarkening,
+    frameTimeMs: performance.now(),
+    binocular,
+    sideBySide,
+  };
+  if (sessionRecording) recordSourceFrame(layout, settings);
+
+  if (visionWorker) {
+    // Step 3 happens in handleWorkerMessage once the worker replies
+    submitFrameToWorker(layout, settings);
+  } else {
+    pruneViewCache(
+      viewCache,
+      layout.views.map((view) => view.id)
+    );
+    const results = new Map(
+      layout.views.map((view) => [
+        view.id,
+        renderView(viewCache, captureBuffer.canvas, view, settings).canvas,
+      ])
+    );
 
-  // Apply basic blur and contrast first
-  if (blurAmount > 0) {
-    outputCtx.save();
-    outputCtx.filter = `blur(${blurAmount}px) contrast(${
-      preset.contrastSensitivityPeak * 2
-    }%)`;
-    outputCtx.drawImage(outputCtx.canvas, 0, 0);
-    outputCtx.restore();
+    // Step 3: Output to display
+    drawViews(layout, (view) => results.get(view.id));
+    trackGaze(layout, (view) => results.get(view.id));
   }
 
-  // Apply infant-specific color vision processing
-  applyInfantColorVision(outputCtx, width, height, preset, selectedAge);
+  // Add frame rate indicator for temporal effects
+  frameCount++;
+  if (frameCount === 1) {
+    console.log("First frame processed successfully!");
+  }
+  if (frameCount % 60 === 0) {
+    console.log(
+      `Vision pipeline - ${frameCount} frames processed, ${droppedFrames} dropped`
+    );
+  }
+}
 
-  // Step 3: Apply peripheral vision limitation (vignette)
-  if (enablePeripheralBlend) {
-    applyPeripheralVision(outputCtx, width, height, preset);
+/**
+ * Add the captured frame to the session being recorded, with the main
+ * view's preset; a full session is saved and recording stops
+ */
+function recordSourceFrame(layout, settings) {
+  const {canvas, ctx} = captureBuffer;
+  const view = layout.views.find(({id}) => id === "main") || layout.views[0];
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  if (recordSessionFrame(sessionRecording, image, view.preset, settings)) {
+    updateSessionStatus();
+  } else {
+    stopSessionRecording();
   }
+}
 
-  // TODO: Re-enable filters step by step
-  /*
-  // Step 1: Capture input
-  const inputCtx = processingCanvases.input.ctx;
-  inputCtx.save();
-  if (isMirrored) {
-    inputCtx.translate(width, 0);
-    inputCtx.scale(-1, 1);
+/**
+ * Next frame of the replayed session in place of the source: rendered at
+ * its recorded size, time and settings with the current preset, and scaled
+ * to fit the canvas. No frame is dropped, so each one is rendered exactly
+ * as in the recording (see replaySession in session.js).
+ */
+function processReplayFrame(width, height) {
+  if (visionWorker && workerBusy) return;
+
+  let next = replay.frames.next();
+  if (next.done) {
+    // Loop from fresh state, as the recording started
+    replay.frames = readSession(replay.session);
+    resetTemporalState();
+    next = replay.frames.next();
   }
-  inputCtx.drawImage(videoElement, 0, 0, width, height);
-  inputCtx.restore();
+  const frame = next.value;
+  replay.frame = frame;
+  if (frame.reset) resetTemporalState();
 
-  // Step 2: Apply spatial frequency filtering (CSF)
-  processingCanvases.frequency.ctx.drawImage(
-    processingCanvases.input.canvas,
-    0,
-    0
-  );
-  applySpatialFrequencyFilter(
-    processingCanvases.frequency.ctx,
+  const {image, settings} = frame;
+  const {canvas, ctx} = captureBuffer;
+  canvas.width = image.width;
+  canvas.height = image.height;
+  ctx.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+
+  const viewWidth = settings.sideBySide
+    ? Math.floor(image.width / 2)
+    : image.width;
+  const scale = Math.min(width / viewWidth, height / image.height);
+  const clip = {
+    x: (width - viewWidth * scale) / 2,
+    y: (height - image.height * scale) / 2,
+    width: viewWidth * scale,
+    height: image.height * scale,
+  };
+  const layout = {
     width,
     height,
-    preset
-  );
+    replay: true,
+    views: [
+      {
+        id: "replay",
+        preset: getConditionPreset(currentPreset, conditions),
+        x: clip.x,
+        y: clip.y,
+        width: viewWidth,
+        height: image.height,
+        scale,
+        clip,
+        labelAlign: "left",
+      },
+    ],
+  };
 
-  // Step 3: LMS color processing
-  processingCanvases.color.ctx.drawImage(
-    processingCanvases.frequency.canvas,
-    0,
-    0
-  );
-  applyLMSColorProcessing(processingCanvases.color.ctx, width, height, preset);
+  if (visionWorker) {
+    submitFrameToWorker(layout, settings);
+  } else {
+    pruneViewCache(viewCache, ["replay"]);
+    const result = renderView(
+      viewCache,
+      captureBuffer.canvas,
+      layout.views[0],
+      settings
+    ).canvas;
+    drawViews(layout, () => result);
+  }
+  updateReplayStatus();
+}
 
-  // Step 4: Optical effects (scatter, aberrations)
-  processingCanvases.spatial.ctx.drawImage(
-    processingCanvases.color.canvas,
-    0,
-    0
-  );
-  applyOpticalEffects(processingCanvases.spatial.ctx, width, height, preset);
+/**
+ * Views for the current mode: each is rendered at width x height and its
+ * clip rectangle is drawn at the same place on the output canvas, enlarged
+ * by view.scale if set
+ */
+function getViewLayout(width, height) {
+  const fullClip = {x: 0, y: 0, width, height};
 
-  // Step 5: Visual field and peripheral effects
-  processingCanvases.temporal.ctx.drawImage(
-    processingCanvases.spatial.canvas,
-    0,
-    0
-  );
-  applyVisualField(processingCanvases.temporal.ctx, width, height, preset);
+  if (viewMode === "split") {
+    const divider = Math.round(splitPosition * width);
+    const fullView = {x: 0, y: 0, width, height};
+    return {
+      width,
+      height,
+      views: [
+        {
+          ...fullView,
+          id: "adult",
+          preset: getPresetForAge("adult"),
+          clip: {x: 0, y: 0, width: divider, height},
+          labelAlign: "left",
+        },
+        {
+          ...fullView,
+          id: "main",
+          preset: getConditionPreset(currentPreset, conditions),
+          clip: {x: divider, y: 0, width: width - divider, height},
+          labelAlign: "right",
+        },
+      ],
+    };
+  }
 
-  // Step 6: Neural effects (noise, lateral inhibition)
-  processingCanvases.final.ctx.drawImage(
-    processingCanvases.temporal.canvas,
-    0,
-    0
-  );
-  applyNeuralEffects(processingCanvases.final.ctx, width, height, preset);
+  if (viewMode === "grid") {
+    const ages = getComparisonAges();
+    const columns = Math.ceil(Math.sqrt(ages.length));
+    const rows = Math.ceil(ages.length / columns);
+    const tileWidth = Math.floor(width / columns);
+    const tileHeight = Math.floor(height / rows);
+    return {
+      width,
+      height,
+      views: ages.map((age, index) => {
+        const tile = {
+          x: (index % columns) * tileWidth,
+          y: Math.floor(index / columns) * tileHeight,
+          width: tileWidth,
+          height: tileHeight,
+        };
+        return {
+          ...tile,
+          id: `grid-${age}`,
+          // Reference profiles stay clean, like the split view's adult pane
+          preset:
+            typeof age === "number"
+              ? getConditionPreset(getPresetForAge(age), conditions)
+              : getPresetForAge(age),
+          clip: tile,
+          labelAlign: "left",
+        };
+      }),
+    };
+  }
+
+  return {
+    width,
+    height,
+    views: [
+      {
+        ...fullClip,
+        id: "main",
+        preset: getConditionPreset(currentPreset, conditions),
+        clip: fullClip,
+        labelAlign: null,
+      },
+    ],
+  };
+}
 
-  // Output to display
-  outputCtx.drawImage(processingCanvases.final.canvas, 0, 0);
-  */
+/**
+ * Month anchors in weeks, then profiles such as "adult"
+ */
+function getComparisonAges() {
+  return [
+    ...AGE_ANCHOR_MONTHS.map((months) => months * WEEKS_PER_MONTH),
+    ...Object.keys(AGE_PRESETS).filter((key) => Number.isNaN(Number(key))),
+  ];
+}
 
-  // Add frame rate indicator for temporal effects
-  frameCount++;
-  if (frameCount === 1) {
-    console.log("First frame processed successfully!");
+/**
+ * Composite rendered views onto the output canvas and label the panes
+ * getImage(view) returns the view's canvas or ImageBitmap
+ */
+function drawViews(layout, getImage) {
+  if (layout.views.length > 1 || layout.replay) {
+    outputCtx.fillStyle = "#000";
+    outputCtx.fillRect(0, 0, layout.width, layout.height);
   }
-  if (frameCount % 60 === 0) {
-    console.log(`Raw camera feed - ${frameCount} frames processed`);
+
+  layout.views.forEach((view) => {
+    const image = getImage(view);
+    const {clip} = view;
+    const scale = view.scale || 1;
+    if (!image || clip.width <= 0 || clip.height <= 0) return;
+    outputCtx.drawImage(
+      image,
+      (clip.x - view.x) / scale,
+      (clip.y - view.y) / scale,
+      clip.width / scale,
+      clip.height / scale,
+      clip.x,
+      clip.y,
+      clip.width,
+      clip.height
+    );
+  });
+
+  layout.views.forEach((view) => {
+    if (view.labelAlign) drawViewLabel(view);
+  });
+}
+
+/**
+ * Preset label and acuity in a pill at the top corner of a pane, below the
+ * top bar for panes that touch the top edge
+ */
+function drawViewLabel(view) {
+  const {clip, preset} = view;
+  const text = `${preset.label} · ${formatSnellen(preset)}`;
+  const margin = 8;
+  const padding = 6;
+  const top = clip.y === 0 ? topBar.offsetHeight : 0;
+
+  outputCtx.save();
+  outputCtx.font = "600 13px system-ui, -apple-system, sans-serif";
+  outputCtx.textBaseline = "middle";
+  const textWidth = outputCtx.measureText(text).width;
+  const boxWidth = textWidth + padding * 2;
+  const boxHeight = 22;
+  const x =
+    view.labelAlign === "right"
+      ? clip.x + clip.width - margin - boxWidth
+      : clip.x + margin;
+  const y = clip.y + top + margin;
+
+  outputCtx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  outputCtx.fillRect(x, y, boxWidth, boxHeight);
+  outputCtx.fillStyle = "#fff";
+  outputCtx.fillText(text, x + padding, y + boxHeight / 2);
+  outputCtx.restore();
+}
+
+/**
+ * Auto gaze: analyse the processed main view on a small grid and move the
+ * fixation point; analysis is skipped while the current fixation dwells
+ */
+function trackGaze(layout, getImage) {
+  if (!autoGaze) return;
+  const view = layout.views.find(({id}) => id === "main") || layout.views[0];
+  const image = getImage(view);
+  const nowMs = performance.now();
+  let target = null;
+
+  if (image && nowMs >= gazeState.dwellUntilMs) {
+    const grid = getGazeGridSize(view.width, view.height);
+    if (
+      !gazeBuffer ||
+      gazeBuffer.canvas.width !== grid.width ||
+      gazeBuffer.canvas.height !== grid.height
+    ) {
+      const canvas = document.createElement("canvas");
+      canvas.width = grid.width;
+      canvas.height = grid.height;
+      gazeBuffer = {
+        canvas: canvas,
+        ctx: canvas.getContext("2d", {willReadFrequently: true}),
+      };
+    }
+    gazeBuffer.ctx.drawImage(image, 0, 0, grid.width, grid.height);
+    target = findFixationTarget(
+      gazeBuffer.ctx.getImageData(0, 0, grid.width, grid.height),
+      {x: gazeState.targetX, y: gazeState.targetY}
+    );
   }
+
+  fixation = updateGaze(gazeState, target, nowMs);
+  updateFixationMarker();
 }
 
 /**
@@ -247,48 +843,278 @@ function renderLoop() {
   animationFrameId = requestAnimationFrame(renderLoop);
 }
 
+function startRenderLoop() {
+  if (animationFrameId !== null) return;
+  renderLoop();
+}
+
+/**
+ * Source helpers used by processFrame
+ */
+function getSourceElement() {
+  if (sourceKind === "stimulus") return stimulusCanvas;
+  return sourceKind === "image" ? sourceImage : videoElement;
+}
+
+/**
+ * Size of the source frame, or of one eye's half of a side-by-side source
+ */
+function getSourceSize(fallbackWidth, fallbackHeight) {
+  const eyeCount = sideBySide ? 2 : 1;
+  if (sourceKind === "stimulus") {
+    return {
+      width: stimulusCanvas.width / eyeCount,
+      height: stimulusCanvas.height,
+    };
+  }
+  if (sourceKind === "image") {
+    return {
+      width: sourceImage.naturalWidth / eyeCount,
+      height: sourceImage.naturalHeight,
+    };
+  }
+  return {
+    width: (videoElement.videoWidth || fallbackWidth * eyeCount) / eyeCount,
+    height: videoElement.videoHeight || fallbackHeight,
+  };
+}
+
+/**
+ * Centered source rectangle that covers the canvas (object-fit: cover)
+ * cropFraction is the share of the source width that stays visible
+ */
+function getSourceCrop(width, height) {
+  const {width: vW, height: vH} = getSourceSize(width, height);
+  const videoAR = vW / vH;
+  const canvasAR = width / height;
+
+  let sx = 0;
+  let sy = 0;
+  let sWidth = vW;
+  let sHeight = vH;
+
+  if (canvasAR > videoAR) {
+    // Canvas is wider than video: crop vertically
+    sHeight = Math.round(vW / canvasAR);
+    sy = Math.max(0, Math.floor((vH - sHeight) / 2));
+  } else {
+    // Canvas is taller than video: crop horizontally
+    sWidth = Math.round(vH * canvasAR);
+    sx = Math.max(0, Math.floor((vW - sWidth) / 2));
+  }
+
+  return {sx, sy, sWidth, sHeight, cropFraction: sWidth / vW};
+}
+
+/**
+ * Horizontal field of view of the whole source, and of the cropped view
+ */
+function getSourceHfov() {
+  return sourceKind === "camera"
+    ? cameraCalibration.hfovDeg
+    : DEFAULT_CAMERA_HFOV_DEG;
+}
+
+function getDisplayHfov() {
+  if (!isSourceReady()) return getSourceHfov();
+  const {cropFraction} = getSourceCrop(outputCanvas.width, outputCanvas.height);
+  return getCroppedHfov(getSourceHfov(), cropFraction);
+}
+
+function isSourceReady() {
+  if (sourceKind === "stimulus") return stimulusCanvas !== null;
+  if (sourceKind === "image") {
+    return Boolean(sourceImage && sourceImage.naturalWidth > 0);
+  }
+  return videoElement.readyState >= 2;
+}
+
+function setSourceKind(kind) {
+  sourceKind = kind;
+  sourceButtons.forEach((button) => {
+    button.classList.toggle("active", button.dataset.source === kind);
+  });
+  if (kind !== "camera") closeCalibration();
+  if (kind !== "stimulus") closeStimulusPanel();
+  if (replay) stopReplay();
+  updateCalibrationStatus();
+  updateCameraControls();
+
+  // A depth map only matches the source it was made for
+  clearDepthMap();
+  resetTemporalState();
+}
+
+/**
+ * Mirror the live camera like a mirror, show files as they are
+ */
+function setMirrored(mirrored) {
+  isMirrored = mirrored;
+  mirrorToggle.checked = mirrored;
+  scheduleLinkUpdate();
+}
+
+/**
+ * Mirror setting for a newly opened source: a link's choice applies to the
+ * first source only
+ */
+function getSourceMirror(kind) {
+  const mirrored =
+    linkedMirror !== null ? linkedMirror : getDefaultMirror(kind);
+  linkedMirror = null;
+  return mirrored;
+}
+
+/**
+ * Only a camera facing the user acts like a mirror; the rear camera and
+ * files are shown as they are
+ */
+function getDefaultMirror(kind = sourceKind) {
+  return kind === "camera" && cameraFacingMode === "user";
+}
+
 /**
  * Update info panel with scientific details
  */
 function updateInfoPanel() {
-  const preset = AGE_PRESETS[selectedAge];
+  const preset = getConditionPreset(currentPreset, conditions);
+  const cones = preset.coneSensitivity;
+  const hfovDeg = getDisplayHfov();
+  const pixelsPerDegree = estimatePixelsPerDegree(
+    outputCanvas.width,
+    outputCanvas.height,
+    hfovDeg
+  );
+  const hfovSource =
+    sourceKind === "camera" && cameraCalibration.calibrated
+      ? "calibrated"
+      : "assumed";
+  const focalRange = getFocalRange(preset);
 
   const scientificDetails = `
     <div style="margin-top: 10px; font-size: 0.9em; color: #666;">
       <strong>Scientific Parameters:</strong><br>
-      • Spatial cutoff: ${preset.spatialCutoffCPD} cpd<br>
-      • Contrast sensitivity: ${preset.contrastSensitivityPeak}x<br>
-      • Cone responses: L=${preset.coneSensitivity.L}, M=${
-    preset.coneSensitivity.M
-  }, S=${preset.coneSensitivity.S}<br>
+      • Acuity: ${formatSnellen(preset)} (${preset.spatialCutoffCPD.toFixed(
+    1
+  )} cpd cutoff)<br>
+      • CSF peak: ${preset.peakSensitivityCPD.toFixed(
+        1
+      )} cpd, sensitivity ${Math.round(preset.contrastSensitivityPeak)}x<br>
+      • Cone responses: L=${cones.L.toFixed(2)}, M=${cones.M.toFixed(
+    2
+  )}, S=${cones.S.toFixed(2)}<br>
+      • Temporal: ${Math.round(
+        preset.temporalIntegrationMs
+      )} ms integration, ${Math.round(
+    preset.criticalFlickerHz
+  )} Hz flicker fusion<br>
       • Optical scatter: ${(preset.scatteringFactor * 100).toFixed(0)}%<br>
-      • Central field: ${preset.centralFieldRadiusDeg}°
+      • Focus range: ${formatFocalRange(focalRange)}, ${
+    preset.pupilDiameterMm
+  } mm pupil<br>
+      • Central field: ${Math.round(preset.centralFieldRadiusDeg)}°<br>
+      • Binocular: ${preset.vergenceErrorDeg.toFixed(
+        1
+      )}° vergence error, ${Math.round(
+    preset.stereoFusion * 100
+  )}% stereo fusion<br>
+      • Resolution: ${pixelsPerDegree.toFixed(
+        1
+      )} px/° across a ${hfovDeg.toFixed(0)}° view (${hfovSource} FOV)
     </div>
   `;
 
-  infoPanel.innerHTML = `
-    <strong>${preset.label}</strong>: ${preset.description}
-    ${scientificDetails}
-  `;
+  const conditionDetails = getActiveConditions(conditions)
+    .map(
+      (condition) => `
+    <div style="margin-top: 10px;">
+      <strong>${condition.label}</strong> (${formatSeverity(
+        condition.id,
+        condition.severity
+      )}): ${condition.description}
+    </div>`
+    )
+    .join("");
+
+  // Custom profiles bring their own label and description: text only
+  const summary = document.createElement("div");
+  const name = document.createElement("strong");
+  name.textContent = preset.label;
+  summary.append(name, `: ${preset.description}`);
+  const details = document.createElement("div");
+  details.innerHTML = `${conditionDetails}${scientificDetails}`;
+  infoPanel.replaceChildren(summary, details);
+}
+
+/**
+ * Near to far focus limits; strong hyperopia can leave nothing in focus
+ */
+function formatFocalRange({nearD, farD}) {
+  if (nearD <= 0) return "nothing in focus";
+  const far = farD > 0 ? formatDistance(100 / farD) : "infinity";
+  return `${formatDistance(100 / nearD)} to ${far}`;
 }
 
 /**
  * Camera initialization
+ * Opens the camera in choice (see camera.js); a remembered camera that is no
+ * longer there gives way to any camera facing the same direction. Failures
+ * show the recovery screen for their kind.
  */
-async function startCamera() {
+async function startCamera(choice = cameraChoice) {
+  const requestId = ++cameraRequestId;
+  if (!isCameraSupported()) {
+    showCameraError(
+      "unsupported",
+      new Error("navigator.mediaDevices is not available on this page")
+    );
+    return;
+  }
+
   try {
     console.log("Requesting camera access...");
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: {
-        facingMode: "user",
-        width: {ideal: 1280},
-        height: {ideal: 720},
-        frameRate: {ideal: 30},
-      },
-      audio: false,
-    });
+    // Phones often cannot open a second camera while one is running
+    stopCameraStream();
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia(
+        getCameraConstraints(choice)
+      );
+    } catch (error) {
+      if (!choice.deviceId || getCameraErrorKind(error) !== "notFound") {
+        throw error;
+      }
+      console.warn("Chosen camera not found, opening by facing direction");
+      choice = {...choice, deviceId: null};
+      stream = await navigator.mediaDevices.getUserMedia(
+        getCameraConstraints(choice)
+      );
+    }
+    if (requestId !== cameraRequestId) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
 
     console.log("Camera stream obtained:", stream);
+    const [track] = stream.getVideoTracks();
+    const trackSettings = track ? track.getSettings() : {};
+    cameraDeviceId = trackSettings.deviceId || "default";
+    // Webcams rarely report a facing direction; they face the user
+    cameraFacingMode =
+      trackSettings.facingMode ||
+      getLabelFacingMode(track && track.label) ||
+      "user";
+    cameraChoice = choice;
+    saveCameraChoice(choice);
+    if (track) {
+      track.addEventListener("ended", () => {
+        if (videoElement.srcObject === stream) handleCameraEnded();
+      });
+    }
+    cameraCalibration = loadCalibration(cameraDeviceId);
+    console.log("Camera FOV:", cameraCalibration);
+    releaseFileSource();
+    videoElement.loop = false;
     videoElement.srcObject = stream;
 
     await new Promise((resolve) => {
@@ -322,53 +1148,1769 @@ async function startCamera() {
     console.log("Container dimensions:", containerWidth, "x", containerHeight);
 
     setupCanvases(containerWidth, containerHeight);
+    setSourceKind("camera");
+    setMirrored(getSourceMirror("camera"));
     updateInfoPanel();
-    renderLoop();
+    startRenderLoop();
+    hideCameraError();
+    // Camera names are only listed once access has been granted
+    refreshCameraDevices();
     console.log("Camera initialization complete");
   } catch (error) {
-    console.error("Camera error:", error);
+    if (requestId !== cameraRequestId) return;
     handleCameraError(error);
   }
 }
 
 /**
- * Setup UI controls
+ * The open camera stopped by itself (unplugged, or access withdrawn): move
+ * to another camera if there is one, otherwise say why the view stopped
  */
-function setupControls() {
-  document.querySelectorAll('input[name="age"]').forEach((radio) => {
-    radio.addEventListener("change", () => {
-      selectedAge = Number(radio.value);
-      updateInfoPanel();
-    });
-  });
-
-  mirrorToggle.addEventListener("change", () => {
-    isMirrored = mirrorToggle.checked;
-  });
-
-  peripheralBlurToggle.addEventListener("change", () => {
-    enablePeripheralBlend = peripheralBlurToggle.checked;
-    updateInfoPanel();
-  });
+async function handleCameraEnded() {
+  console.warn("Camera stream ended");
+  stopCameraStream();
+  await refreshCameraDevices();
+  if (cameraDevices.length > 0) {
+    startCamera({...cameraChoice, deviceId: null});
+  } else {
+    showCameraError("notFound", new Error("The camera was disconnected"));
+  }
 }
 
 /**
- * Error handling
+ * Cameras present, for the picker and the flip button
+ */
+async function refreshCameraDevices() {
+  if (!isCameraSupported() || !navigator.mediaDevices.enumerateDevices) return;
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    cameraDevices = devices.filter((device) => device.kind === "videoinput");
+  } catch (error) {
+    console.error("Unable to list cameras:", error);
+    cameraDevices = [];
+  }
+  updateCameraControls();
+}
+
+/**
+ * Camera picker, resolution selector, flip button and recovery screen
+ */
+function setupCameraControls() {
+  CAMERA_RESOLUTIONS.forEach(({id, label}) => {
+    cameraResolutionSelect.append(new Option(label, id));
+  });
+  cameraResolutionSelect.value = cameraChoice.resolutionId;
+
+  cameraSelect.addEventListener("change", () => {
+    const device = cameraDevices.find(
+      ({deviceId}) => deviceId === cameraSelect.value
+    );
+    if (!device) return;
+    startCamera({
+      ...cameraChoice,
+      deviceId: device.deviceId,
+      facingMode: getLabelFacingMode(device.label) || cameraChoice.facingMode,
+    });
+  });
+
+  cameraResolutionSelect.addEventListener("change", () => {
+    const choice = {
+      ...cameraChoice,
+      resolutionId: cameraResolutionSelect.value,
+    };
+    if (sourceKind === "camera") {
+      startCamera(choice);
+    } else {
+      cameraChoice = choice;
+      saveCameraChoice(choice);
+    }
+  });
+
+  cameraFlipButton.addEventListener("click", () => {
+    startCamera(
+      getFlippedChoice(cameraChoice, cameraFacingMode, cameraDevices)
+    );
+  });
+
+  errorRetry.addEventListener("click", () => {
+    hideCameraError();
+    startCamera();
+  });
+
+  // Without a working source, fall back to a test stimulus; the source
+  // switcher offers images and videos from there
+  errorDismiss.addEventListener("click", () => {
+    hideCameraError();
+    if (!isSourceReady()) startStimulus();
+  });
+
+  if (isCameraSupported()) {
+    navigator.mediaDevices.addEventListener("devicechange", async () => {
+      await refreshCameraDevices();
+      if (cameraErrorKind === "notFound" && cameraDevices.length > 0) {
+        hideCameraError();
+        startCamera();
+      }
+    });
+  }
+
+  refreshCameraDevices();
+}
+
+function updateCameraControls() {
+  const listed = cameraDevices.filter(({deviceId}) => deviceId);
+  cameraSelect.replaceChildren(
+    ...listed.map(
+      (device, index) =>
+        new Option(getCameraLabel(device, index), device.deviceId)
+    )
+  );
+  if (listed.length === 0) {
+    cameraSelect.append(
+      new Option(
+        cameraDevices.length > 0
+          ? "Allow camera access to choose"
+          : "No camera found",
+        ""
+      )
+    );
+  }
+  if (listed.some(({deviceId}) => deviceId === cameraDeviceId)) {
+    cameraSelect.value = cameraDeviceId;
+  }
+  cameraSelect.disabled = listed.length === 0;
+  cameraResolutionSelect.value = cameraChoice.resolutionId;
+
+  const cameraActive = sourceKind === "camera" && videoElement.srcObject;
+  cameraFlipButton.hidden = !cameraActive || cameraDevices.length < 2;
+  cameraStatus.textContent = cameraActive
+    ? `${cameraFacingMode === "environment" ? "Rear" : "Front"} camera, ${
+        videoElement.videoWidth
+      } × ${videoElement.videoHeight}`
+    : "Choosing a camera switches the source to it";
+}
+
+function stopCameraStream() {
+  const stream = videoElement.srcObject;
+  if (!stream) return;
+  stream.getTracks().forEach((track) => track.stop());
+  videoElement.srcObject = null;
+}
+
+/**
+ * File sources (image upload, drag-and-drop, looping video)
+ */
+function releaseFileSource() {
+  if (videoElement.getAttribute("src")) {
+    videoElement.pause();
+    videoElement.removeAttribute("src");
+    videoElement.load();
+  }
+  sourceImage = null;
+
+  if (sourceObjectUrl) {
+    URL.revokeObjectURL(sourceObjectUrl);
+    sourceObjectUrl = null;
+  }
+}
+
+async function loadImageSource(url) {
+  const image = new Image();
+  image.src = url;
+  await image.decode();
+  console.log("Image loaded:", image.naturalWidth, "x", image.naturalHeight);
+  sourceImage = image;
+}
+
+async function loadVideoSource(url) {
+  videoElement.loop = true;
+  videoElement.src = url;
+
+  await new Promise((resolve, reject) => {
+    videoElement.onloadeddata = () => resolve();
+    videoElement.onerror = () =>
+      reject(new Error("This video format is not supported by the browser"));
+  });
+  videoElement.onerror = null;
+
+  await videoElement.play();
+  console.log(
+    "Video file playing:",
+    videoElement.videoWidth,
+    "x",
+    videoElement.videoHeight
+  );
+}
+
+async function loadFileSource(file) {
+  if (!file) return;
+
+  let kind = null;
+  if (file.type.startsWith("image/")) kind = "image";
+  if (file.type.startsWith("video/")) kind = "video";
+  if (!kind) {
+    handleSourceError(
+      new Error(`Unsupported file type: ${file.type || file.name}`)
+    );
+    return;
+  }
+
+  stopCameraStream();
+  releaseFileSource();
+  sourceObjectUrl = URL.createObjectURL(file);
+
+  try {
+    if (kind === "image") {
+      await loadImageSource(sourceObjectUrl);
+    } else {
+      await loadVideoSource(sourceObjectUrl);
+    }
+
+    setSourceKind(kind);
+    setMirrored(getSourceMirror(kind));
+    updateInfoPanel();
+    startRenderLoop();
+    console.log(`Source switched to ${kind}:`, file.name);
+  } catch (error) {
+    releaseFileSource();
+    handleSourceError(error);
+  }
+}
+
+/**
+ * Source switcher buttons and drag-and-drop
+ */
+function setupSourceControls() {
+  sourceButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      const kind = button.dataset.source;
+      if (kind === "camera") {
+        if (sourceKind !== "camera" || !videoElement.srcObject) startCamera();
+        return;
+      }
+      if (kind === "stimulus") {
+        startStimulus();
+        return;
+      }
+      sourceFileInput.accept = `${kind}/*`;
+      sourceFileInput.click();
+    });
+  });
+
+  sourceFileInput.addEventListener("change", () => {
+    loadFileSource(sourceFileInput.files[0]);
+    sourceFileInput.value = "";
+  });
+
+  // Count nested dragenter/dragleave pairs so children don't flicker the overlay
+  const container = outputCanvas.parentElement;
+  let dragDepth = 0;
+
+  container.addEventListener("dragenter", (event) => {
+    event.preventDefault();
+    dragDepth++;
+    dropOverlay.classList.add("active");
+  });
+
+  container.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+  });
+
+  container.addEventListener("dragleave", () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) dropOverlay.classList.remove("active");
+  });
+
+  container.addEventListener("drop", (event) => {
+    event.preventDefault();
+    dragDepth = 0;
+    dropOverlay.classList.remove("active");
+    loadFileSource(event.dataTransfer.files[0]);
+  });
+}
+
+/**
+ * Setup UI controls
+ */
+function setupControls() {
+  setupAgeSlider();
+
+  mirrorToggle.addEventListener("change", () => {
+    isMirrored = mirrorToggle.checked;
+    scheduleLinkUpdate();
+  });
+
+  setupStageToggles();
+  setupSourceControls();
+  setupCameraControls();
+  setupFocusControls();
+  setupCalibration();
+  setupStimulusControls();
+  setupViewControls();
+  setupCaptureControls();
+  setupSessionControls();
+  setupProfileEditor();
+  setupLinkSharing();
+  setupFixationControls();
+  setupConditionControls();
+  setupBinocularControls();
+}
+
+/**
+ * One severity slider per eye condition
+ */
+const conditionInputs = new Map();
+
+function setupConditionControls() {
+  CONDITIONS.forEach((condition) => {
+    const item = document.createElement("label");
+    item.className = "setting-item slider-setting";
+    item.innerHTML = `
+      <span class="setting-label"
+        >${condition.label} <span class="setting-value"></span
+      ></span>
+      <input type="range" min="0" max="1" step="0.05" value="0" />
+    `;
+
+    const input = item.querySelector("input");
+    input.addEventListener("input", () => {
+      setConditionSeverity(condition.id, Number(input.value));
+      scheduleLinkUpdate();
+    });
+    conditionInputs.set(condition.id, {
+      input,
+      value: item.querySelector(".setting-value"),
+    });
+    conditionControls.appendChild(item);
+  });
+
+  updateConditionControls();
+}
+
+function setConditionSeverity(id, severity) {
+  conditions = {...conditions, [id]: severity};
+  if (!(severity > 0)) delete conditions[id];
+  updateConditionControls();
+  updateInfoPanel();
+}
+
+function updateConditionControls() {
+  CONDITIONS.forEach(({id}) => {
+    const {input, value} = conditionInputs.get(id);
+    const severity = conditions[id] || 0;
+    input.value = String(severity);
+    value.textContent = severity > 0 ? formatSeverity(id, severity) : "Off";
+  });
+}
+
+/**
+ * Two-eye view: fused or anaglyph output, and side-by-side stereo sources
+ */
+function setupBinocularControls() {
+  binocularToggle.addEventListener("change", () => {
+    setBinocular(
+      binocularToggle.checked
+        ? anaglyphToggle.checked
+          ? "anaglyph"
+          : "fused"
+        : null
+    );
+  });
+
+  anaglyphToggle.addEventListener("change", () => {
+    setBinocular(anaglyphToggle.checked ? "anaglyph" : "fused");
+  });
+
+  sideBySideToggle.addEventListener("change", () => {
+    setSideBySide(sideBySideToggle.checked);
+  });
+
+  updateBinocularControls();
+}
+
+function setBinocular(mode) {
+  binocular = mode;
+  updateBinocularControls();
+  scheduleLinkUpdate();
+  console.log("Binocular view:", mode || "off");
+}
+
+function setSideBySide(enabled) {
+  sideBySide = enabled;
+  resetTemporalState();
+  updateBinocularControls();
+  updateInfoPanel();
+  scheduleLinkUpdate();
+}
+
+function updateBinocularControls() {
+  binocularToggle.checked = Boolean(binocular);
+  anaglyphToggle.checked = binocular === "anaglyph";
+  anaglyphToggle.disabled = !binocular;
+  sideBySideToggle.checked = sideBySide;
+}
+
+/**
+ * Fixation marker dragging and the auto gaze toggle
+ */
+function setupFixationControls() {
+  fixationMarker.addEventListener("pointerdown", (event) => {
+    fixationMarker.setPointerCapture(event.pointerId);
+    setAutoGaze(false);
+  });
+
+  fixationMarker.addEventListener("pointermove", (event) => {
+    if (!fixationMarker.hasPointerCapture(event.pointerId)) return;
+    const rect = outputCanvas.getBoundingClientRect();
+    setFixation({
+      x: (event.clientX - rect.left) / rect.width,
+      y: (event.clientY - rect.top) / rect.height,
+    });
+  });
+
+  fixationMarker.addEventListener("pointerup", scheduleLinkUpdate);
+
+  // Double-click or double-tap returns the gaze to the center
+  fixationMarker.addEventListener("dblclick", () => {
+    setFixation(DEFAULT_FIXATION);
+    scheduleLinkUpdate();
+  });
+
+  autoGazeToggle.addEventListener("change", () => {
+    setAutoGaze(autoGazeToggle.checked);
+  });
+
+  darkeningToggle.addEventListener("change", () => {
+    peripheralDarkening = darkeningToggle.checked;
+    scheduleLinkUpdate();
+  });
+
+  updateFixationMarker();
+}
+
+function setFixation({x, y}) {
+  fixation = {
+    x: Math.min(1, Math.max(0, x)),
+    y: Math.min(1, Math.max(0, y)),
+  };
+  updateFixationMarker();
+}
+
+function setAutoGaze(enabled) {
+  autoGaze = enabled;
+  autoGazeToggle.checked = enabled;
+  gazeState = createGazeState(fixation);
+  fixationMarker.classList.toggle("auto", enabled);
+  scheduleLinkUpdate();
+  console.log("Auto gaze:", enabled);
+}
+
+function updateFixationMarker() {
+  fixationMarker.style.left = `${fixation.x * 100}%`;
+  fixationMarker.style.top = `${fixation.y * 100}%`;
+}
+
+/**
+ * Deep links
+ * Settled changes are pushed to the URL hash as history entries, so a link
+ * reopens the same view and back/forward step through earlier settings
+ */
+const LINK_UPDATE_DELAY_MS = 400;
+const LINK_STATUS_MS = 2000;
+
+let linkUpdateTimer = null;
+let linkStatusTimer = null;
+let applyingLinkState = false;
+
+function setupLinkSharing() {
+  copyLinkButton.addEventListener("click", () => {
+    copyLink().catch((error) => {
+      console.error("Error copying link:", error);
+      showLinkStatus("Copy failed");
+    });
+  });
+
+  window.addEventListener("popstate", () => {
+    applyLinkState(decodeLinkState(location.hash));
+  });
+}
+
+function getLinkState() {
+  const basePreset = getPresetForAge(selectedAge);
+  return {
+    age: selectedAge,
+    mirror: isMirrored !== getDefaultMirror() ? isMirrored : null,
+    disabledStages: PIPELINE_STAGES.filter(
+      (stage) => !enabledStages[stage.id]
+    ).map((stage) => stage.id),
+    stageParams: getChangedStageParams(),
+    view: viewMode,
+    split: splitPosition,
+    distanceCm: objectDistanceCm,
+    fixation,
+    autoGaze,
+    peripheralDarkening,
+    binocular,
+    sideBySide,
+    conditions,
+    profileName: customPreset ? customPreset.label : null,
+    overrides: customPreset
+      ? getProfileOverrides(customPreset, basePreset)
+      : {},
+  };
+}
+
+/**
+ * Stage parameters that differ from their defaults, for links
+ */
+function getChangedStageParams() {
+  const changed = {};
+  PIPELINE_STAGES.forEach((stage) => {
+    const values = getStageParams(stage, {stageParams});
+    stage.params.forEach(({key, defaultValue}) => {
+      if (values[key] !== defaultValue) {
+        changed[stage.id] = {...changed[stage.id], [key]: values[key]};
+      }
+    });
+  });
+  return changed;
+}
+
+/**
+ * Restore a decoded link: age or custom profile, stages, view and focus
+ */
+function applyLinkState(state) {
+  applyingLinkState = true;
+  clearTimeout(linkUpdateTimer);
+
+  try {
+    setAge(state.age);
+    if (state.profileName || Object.keys(state.overrides).length > 0) {
+      const profile = getProfileDraft();
+      if (state.profileName) profile.label = state.profileName;
+      Object.entries(state.overrides).forEach(([key, value]) => {
+        setProfileField(profile, key, value);
+      });
+      // A link is outside input, held to the same rules as an imported file
+      try {
+        applyCustomPreset(validateProfile(profile));
+        if (!profileEditor.hidden) showProfileDraft(getProfileDraft());
+      } catch (error) {
+        console.warn("Ignoring the link's vision profile:", error.message);
+      }
+    }
+
+    setMirrored(state.mirror !== null ? state.mirror : getDefaultMirror());
+
+    PIPELINE_STAGES.forEach((stage) => {
+      enabledStages[stage.id] = !state.disabledStages.includes(stage.id);
+      const toggle = stageToggles.querySelector(
+        `[data-stage="${stage.id}"] input`
+      );
+      if (toggle) toggle.checked = enabledStages[stage.id];
+    });
+    stageParams = state.stageParams;
+    updateStageParamControls();
+
+    splitPosition = state.split;
+    setViewMode(state.view);
+
+    setFixation(state.fixation);
+    setAutoGaze(state.autoGaze);
+    peripheralDarkening = state.peripheralDarkening;
+    darkeningToggle.checked = peripheralDarkening;
+
+    binocular = state.binocular;
+    sideBySide = state.sideBySide;
+    resetTemporalState();
+    updateBinocularControls();
+
+    conditions = {...state.conditions};
+    updateConditionControls();
+
+    objectDistanceCm = state.distanceCm;
+    distanceSlider.value = String(distanceToSlider(objectDistanceCm));
+    updateFocusStatus();
+    updateInfoPanel();
+  } finally {
+    applyingLinkState = false;
+  }
+}
+
+function scheduleLinkUpdate() {
+  if (applyingLinkState) return;
+  clearTimeout(linkUpdateTimer);
+  linkUpdateTimer = setTimeout(updateLink, LINK_UPDATE_DELAY_MS);
+}
+
+function updateLink() {
+  clearTimeout(linkUpdateTimer);
+  const hash = encodeLinkState(getLinkState());
+  if (hash === location.hash.replace(/^#/, "")) return;
+  history.pushState(
+    null,
+    "",
+    hash ? `#${hash}` : location.pathname + location.search
+  );
+}
+
+async function copyLink() {
+  updateLink();
+  await navigator.clipboard.writeText(location.href);
+  showLinkStatus("Link copied");
+}
+
+function showLinkStatus(text) {
+  linkStatus.textContent = text;
+  linkStatus.hidden = false;
+  clearTimeout(linkStatusTimer);
+  linkStatusTimer = setTimeout(() => {
+    linkStatus.hidden = true;
+  }, LINK_STATUS_MS);
+}
+
+/**
+ * Snapshot and record buttons
+ */
+function setupCaptureControls() {
+  snapshotButton.addEventListener("click", () => {
+    saveSnapshot().catch((error) => {
+      console.error("Error saving snapshot:", error);
+    });
+  });
+
+  if (!isRecordingSupported()) {
+    recordButton.disabled = true;
+    recordButton.title = "Recording is not supported in this browser";
+    return;
+  }
+  recordButton.addEventListener("click", () => {
+    if (recording) recording.stop();
+    else startOutputRecording();
+  });
+}
+
+/**
+ * Caption strip text: who is seeing, what is simulated, and the FOV behind
+ * the pixels-per-degree scale
+ */
+function getCaptionLines() {
+  const {views} = getViewLayout(outputCanvas.width, outputCanvas.height);
+  const ages = views
+    .map((view) => `${view.preset.label} (${formatSnellen(view.preset)})`)
+    .join(" | ");
+  const stages = PIPELINE_STAGES.filter((stage) => enabledStages[stage.id])
+    .map((stage) => stage.label)
+    .join(", ");
+  const hfovSource =
+    sourceKind === "camera" && cameraCalibration.calibrated
+      ? "calibrated"
+      : "assumed";
+
+  const conditionText = getActiveConditions(conditions)
+    .map(
+      (condition) =>
+        `${condition.label} ${formatSeverity(condition.id, condition.severity)}`
+    )
+    .join(", ");
+
+  return [
+    `Age: ${ages}`,
+    ...(conditionText ? [`Conditions: ${conditionText}`] : []),
+    ...(binocular ? [`Eyes: ${binocular}`] : []),
+    ...(sourceKind === "stimulus"
+      ? [`Stimulus: ${describeStimulus(stimulus)}`]
+      : []),
+    `Stages: ${stages || "none"}`,
+    `Field of view: ${getDisplayHfov().toFixed(0)}° (${hfovSource})`,
+  ];
+}
+
+async function saveSnapshot() {
+  const canvas = createSnapshotCanvas(
+    outputCanvas,
+    captionToggle.checked ? getCaptionLines() : []
+  );
+  const blob = await canvasToBlob(canvas);
+  downloadBlob(blob, getCaptureFilename("baby-vision", "png"));
+  console.log("Snapshot saved:", canvas.width, "x", canvas.height);
+}
+
+function startOutputRecording() {
+  try {
+    recording = startRecording(outputCanvas, {
+      onProgress: updateRecordingStatus,
+      onStop: finishOutputRecording,
+    });
+  } catch (error) {
+    console.error("Error starting recording:", error);
+    recording = null;
+    return;
+  }
+
+  recordButton.classList.add("recording");
+  recordButton.setAttribute("aria-label", "Stop recording");
+  recordingStatus.hidden = false;
+  updateRecordingStatus(0, 0);
+  recordingTimerId = setInterval(() => {
+    if (recording) {
+      updateRecordingStatus(
+        recording.bytes,
+        performance.now() - recording.startMs
+      );
+    }
+  }, 250);
+  console.log("Recording started");
+}
+
+function finishOutputRecording(blob, reason) {
+  clearInterval(recordingTimerId);
+  recording = null;
+  recordButton.classList.remove("recording");
+  recordButton.setAttribute("aria-label", "Start recording");
+  recordingStatus.hidden = true;
+
+  if (blob.size > 0) {
+    downloadBlob(blob, getCaptureFilename("baby-vision", "webm"));
+  }
+  console.log("Recording finished:", reason, blob.size, "bytes");
+}
+
+/**
+ * Elapsed time and size against the limit, e.g. "0:42 · 12/50 MB"
+ */
+function updateRecordingStatus(bytes, elapsedMs) {
+  recordingStatus.textContent = `${formatElapsed(
+    elapsedMs
+  )} · ${formatMegabytes(bytes)}/${formatMegabytes(MAX_RECORDING_BYTES)} MB`;
+}
+
+function formatElapsed(elapsedMs) {
+  const seconds = Math.floor(elapsedMs / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function formatMegabytes(bytes) {
+  return Math.round(bytes / (1024 * 1024));
+}
+
+/**
+ * Session recording and replay
+ */
+function setupSessionControls() {
+  sessionRecordButton.addEventListener("click", () => {
+    if (sessionRecording) stopSessionRecording();
+    else startSessionRecording();
+  });
+
+  replayButton.addEventListener("click", () => {
+    if (replay) stopReplay();
+    else sessionFileInput.click();
+  });
+
+  sessionFileInput.addEventListener("change", () => {
+    loadSessionFile(sessionFileInput.files[0]);
+    sessionFileInput.value = "";
+  });
+
+  updateSessionControls();
+}
+
+function startSessionRecording() {
+  // A replay starts from fresh state, so the recorded frames do too
+  resetTemporalState();
+  sessionRecording = createSession();
+  updateSessionControls();
+  console.log("Session recording started");
+}
+
+/**
+ * Stop recording and save the session, if it holds any frames
+ */
+async function stopSessionRecording() {
+  const session = sessionRecording;
+  sessionRecording = null;
+  updateSessionControls();
+  if (session.frames.length === 0) return;
+
+  sessionStatus.textContent = "Saving…";
+  try {
+    const bytes = await encodeSession(session);
+    downloadBlob(
+      new Blob([bytes], {type: "application/gzip"}),
+      getCaptureFilename("baby-vision-session", SESSION_EXTENSION)
+    );
+    console.log(
+      "Session saved:",
+      session.frames.length,
+      "frames,",
+      bytes.byteLength,
+      "bytes"
+    );
+  } catch (error) {
+    showErrorMessage(
+      "Unable to save session",
+      "The recording could not be saved; try a shorter one.",
+      error
+    );
+    console.error("Error saving session:", error);
+  }
+  updateSessionControls();
+}
+
+async function loadSessionFile(file) {
+  if (!file) return;
+  try {
+    const session = await decodeSession(
+      new Uint8Array(await file.arrayBuffer())
+    );
+    if (session.frames.length === 0) throw new Error("The session is empty");
+    startReplay(session);
+  } catch (error) {
+    showErrorMessage(
+      "Unable to load session",
+      `Choose a .${SESSION_EXTENSION} file recorded with this simulator.`,
+      error
+    );
+    console.error("Session error:", error);
+  }
+}
+
+/**
+ * Replay a session in place of the source until stopped; the age slider,
+ * conditions and profile still choose the preset
+ */
+function startReplay(session) {
+  if (sessionRecording) stopSessionRecording();
+  replay = {session, frames: readSession(session), frame: null};
+  resetTemporalState();
+  updateSessionControls();
+  startRenderLoop();
+  console.log("Replaying session:", session.frames.length, "frames");
+}
+
+function stopReplay() {
+  replay = null;
+  // Back to the source at the canvas size, from fresh state
+  resizeCanvasToContainer();
+  updateSessionControls();
+}
+
+function updateSessionControls() {
+  sessionRecordButton.textContent = sessionRecording ? "Stop" : "Record";
+  sessionRecordButton.disabled = Boolean(replay);
+  replayButton.textContent = replay ? "Stop" : "Load";
+  updateSessionStatus();
+  updateReplayStatus();
+}
+
+/**
+ * Frames, length and size against the limit, e.g. "84 frames · 0:03 ·
+ * 62/256 MB"
+ */
+function updateSessionStatus() {
+  if (!sessionRecording) {
+    sessionStatus.textContent =
+      "Record the source and settings to replay or report";
+    return;
+  }
+  const {frames, bytes} = sessionRecording;
+  sessionStatus.textContent = `${frames.length} frames · ${formatElapsed(
+    getSessionDuration(sessionRecording)
+  )} · ${formatMegabytes(bytes)}/${formatMegabytes(MAX_SESSION_BYTES)} MB`;
+}
+
+function updateReplayStatus() {
+  if (!replay) {
+    replayStatus.textContent = "Play a recorded session at any age";
+    return;
+  }
+  const {session, frame} = replay;
+  replayStatus.textContent = frame
+    ? `Frame ${frame.index + 1} of ${session.frames.length}, recorded at ${
+        frame.preset.label
+      }`
+    : `${session.frames.length} frames`;
+}
+
+/**
+ * View mode buttons and the split divider
+ */
+function setupViewControls() {
+  viewButtons.forEach((button) => {
+    button.addEventListener("click", () => setViewMode(button.dataset.view));
+  });
+
+  splitDivider.addEventListener("pointerdown", (event) => {
+    splitDivider.setPointerCapture(event.pointerId);
+  });
+
+  splitDivider.addEventListener("pointermove", (event) => {
+    if (!splitDivider.hasPointerCapture(event.pointerId)) return;
+    const rect = outputCanvas.getBoundingClientRect();
+    splitPosition = Math.min(
+      MAX_SPLIT,
+      Math.max(MIN_SPLIT, (event.clientX - rect.left) / rect.width)
+    );
+    splitDivider.style.left = `${splitPosition * 100}%`;
+  });
+
+  splitDivider.addEventListener("pointerup", scheduleLinkUpdate);
+
+  setViewMode(viewMode);
+}
+
+function setViewMode(mode) {
+  viewMode = mode;
+  viewButtons.forEach((button) => {
+    button.classList.toggle("active", button.dataset.view === mode);
+  });
+  splitDivider.hidden = mode !== "split";
+  fixationMarker.hidden = mode === "grid";
+  splitDivider.style.left = `${splitPosition * 100}%`;
+  scheduleLinkUpdate();
+  console.log("View mode:", mode);
+}
+
+/**
+ * Viewing distance slider (log scale) and depth map loader for the focus stage
+ */
+const DISTANCE_SLIDER_STEPS = 1000;
+const MIN_DISTANCE_CM = 10;
+const MAX_DISTANCE_CM = 1000;
+
+function sliderToDistance(value) {
+  return (
+    MIN_DISTANCE_CM *
+    Math.pow(MAX_DISTANCE_CM / MIN_DISTANCE_CM, value / DISTANCE_SLIDER_STEPS)
+  );
+}
+
+function distanceToSlider(distanceCm) {
+  return Math.round(
+    (Math.log(distanceCm / MIN_DISTANCE_CM) /
+      Math.log(MAX_DISTANCE_CM / MIN_DISTANCE_CM)) *
+      DISTANCE_SLIDER_STEPS
+  );
+}
+
+function formatDistance(distanceCm) {
+  if (!Number.isFinite(distanceCm)) return "infinity";
+  if (distanceCm < 100) return `${Math.round(distanceCm)} cm`;
+  return `${(distanceCm / 100).toFixed(1)} m`;
+}
+
+function setupFocusControls() {
+  distanceSlider.min = "0";
+  distanceSlider.max = String(DISTANCE_SLIDER_STEPS);
+  distanceSlider.step = "1";
+  distanceSlider.value = String(distanceToSlider(objectDistanceCm));
+
+  distanceSlider.addEventListener("input", () => {
+    objectDistanceCm = sliderToDistance(Number(distanceSlider.value));
+    updateFocusStatus();
+    scheduleLinkUpdate();
+  });
+
+  depthButton.addEventListener("click", () => {
+    if (depthMapImage) {
+      clearDepthMap();
+    } else {
+      depthFileInput.click();
+    }
+  });
+
+  depthFileInput.addEventListener("change", () => {
+    loadDepthMap(depthFileInput.files[0]);
+    depthFileInput.value = "";
+  });
+
+  updateFocusStatus();
+}
+
+async function loadDepthMap(file) {
+  if (!file) return;
+  clearDepthMap();
+  depthMapUrl = URL.createObjectURL(file);
+
+  try {
+    const image = new Image();
+    image.src = depthMapUrl;
+    await image.decode();
+    depthMapImage = image;
+    console.log(
+      "Depth map loaded:",
+      image.naturalWidth,
+      "x",
+      image.naturalHeight
+    );
+  } catch (error) {
+    clearDepthMap();
+    showErrorMessage(
+      "Unable to load depth map",
+      "Choose a grayscale image where white is near and black is far.",
+      error
+    );
+    console.error("Depth map error:", error);
+  }
+  updateFocusStatus();
+}
+
+function clearDepthMap() {
+  depthMapImage = null;
+  depthMapCache = null;
+  if (depthMapUrl) {
+    URL.revokeObjectURL(depthMapUrl);
+    depthMapUrl = null;
+  }
+  updateFocusStatus();
+}
+
+/**
+ * Depth map cropped and mirrored like the source, at canvas size
+ * Cached until the canvas size, crop or mirroring changes
+ */
+function getDepthMap(width, height) {
+  if (!depthMapImage) return null;
+
+  const {sx, sy, sWidth, sHeight} = getSourceCrop(width, height);
+  const key = [width, height, isMirrored, sx, sy, sWidth, sHeight].join(",");
+  if (depthMapCache && depthMapCache.key === key) return depthMapCache.map;
+
+  // The depth map is stretched over the whole source frame
+  const {width: vW, height: vH} = getSourceSize(width, height);
+  const scaleX = depthMapImage.naturalWidth / vW;
+  const scaleY = depthMapImage.naturalHeight / vH;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", {willReadFrequently: true});
+  if (isMirrored) {
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.drawImage(
+    depthMapImage,
+    sx * scaleX,
+    sy * scaleY,
+    sWidth * scaleX,
+    sHeight * scaleY,
+    0,
+    0,
+    width,
+    height
+  );
+
+  const map = createDepthMap(ctx.getImageData(0, 0, width, height));
+  depthMapCache = {key, map};
+  return map;
+}
+
+function updateFocusStatus() {
+  distanceValue.textContent = formatDistance(objectDistanceCm);
+  distanceSlider.disabled = Boolean(depthMapImage);
+  distanceDescription.textContent = depthMapImage
+    ? "Set per pixel by the depth map"
+    : "How far the scene is from the baby";
+
+  depthButton.textContent = depthMapImage ? "Clear" : "Load";
+  depthButton.disabled = !depthMapImage && sourceKind === "camera";
+  if (depthMapImage) {
+    depthStatus.textContent = `White ${formatDistance(
+      VISION_CONSTANTS.DEPTH_MAP_NEAR_CM
+    )}, black ${formatDistance(VISION_CONSTANTS.DEPTH_MAP_FAR_CM)}`;
+  } else if (sourceKind === "camera") {
+    depthStatus.textContent = "Pairs with an image or video file";
+  } else {
+    depthStatus.textContent = "Grayscale image, white is near";
+  }
+}
+
+/**
+ * Field-of-view calibration
+ * The user holds an object of known width at a known distance and sizes the
+ * on-screen guide to match it; the guide's share of the view gives the FOV
+ */
+function setupCalibration() {
+  calibrationWidth.value = String(CREDIT_CARD_WIDTH_MM);
+
+  calibrateButton.addEventListener("click", openCalibration);
+  [calibrationWidth, calibrationDistance, calibrationSpan].forEach((input) => {
+    input.addEventListener("input", updateCalibrationPreview);
+  });
+
+  document
+    .getElementById("calibrationCancel")
+    .addEventListener("click", closeCalibration);
+
+  document.getElementById("calibrationReset").addEventListener("click", () => {
+    clearCalibration(cameraDeviceId);
+    applyCameraCalibration();
+  });
+
+  document.getElementById("calibrationSave").addEventListener("click", () => {
+    const hfovDeg = measureCameraHfov();
+    if (hfovDeg === null) return;
+    saveCalibration(cameraDeviceId, hfovDeg);
+    applyCameraCalibration();
+  });
+
+  updateCalibrationStatus();
+}
+
+function openCalibration() {
+  if (sourceKind !== "camera" || !cameraDeviceId) return;
+  settingsPanel.classList.remove("active");
+  infoPanel.hidden = true;
+  calibrationPanel.hidden = false;
+  calibrationGuide.hidden = false;
+  updateCalibrationPreview();
+}
+
+function closeCalibration() {
+  infoPanel.hidden = false;
+  calibrationPanel.hidden = true;
+  calibrationGuide.hidden = true;
+}
+
+function applyCameraCalibration() {
+  cameraCalibration = loadCalibration(cameraDeviceId);
+  console.log("Camera FOV:", cameraCalibration);
+  closeCalibration();
+  updateCalibrationStatus();
+  updateInfoPanel();
+}
+
+/**
+ * Camera FOV implied by the current guide, or null for invalid input
+ */
+function measureCameraHfov() {
+  const objectWidthMm = Number(calibrationWidth.value);
+  const distanceCm = Number(calibrationDistance.value);
+  if (!(objectWidthMm > 0 && distanceCm > 0) || !isSourceReady()) return null;
+
+  const {cropFraction} = getSourceCrop(outputCanvas.width, outputCanvas.height);
+  return computeCameraHfov({
+    objectWidthMm,
+    distanceCm,
+    spanFraction: Number(calibrationSpan.value) / 100,
+    cropFraction,
+  });
+}
+
+function updateCalibrationPreview() {
+  calibrationGuide.style.width = `${calibrationSpan.value}%`;
+
+  const hfovDeg = measureCameraHfov();
+  if (hfovDeg === null) {
+    calibrationResult.textContent = "Enter the object's width and distance";
+    return;
+  }
+
+  const {cropFraction} = getSourceCrop(outputCanvas.width, outputCanvas.height);
+  const pixelsPerDegree = estimatePixelsPerDegree(
+    outputCanvas.width,
+    outputCanvas.height,
+    getCroppedHfov(hfovDeg, cropFraction)
+  );
+  calibrationResult.textContent = `Camera FOV ${hfovDeg.toFixed(
+    1
+  )}° · ${pixelsPerDegree.toFixed(1)} px/° on screen`;
+}
+
+function updateCalibrationStatus() {
+  calibrateButton.disabled = sourceKind !== "camera" || !cameraDeviceId;
+  if (sourceKind !== "camera") {
+    fovStatus.textContent = `${
+      sourceKind === "stimulus" ? "Stimuli" : "Files"
+    } assume a ${DEFAULT_CAMERA_HFOV_DEG}° view`;
+    return;
+  }
+  fovStatus.textContent = cameraCalibration.calibrated
+    ? `${cameraCalibration.hfovDeg.toFixed(1)}° camera FOV (calibrated)`
+    : `${DEFAULT_CAMERA_HFOV_DEG}° camera FOV (assumed)`;
+}
+
+/**
+ * Test stimulus source
+ * Stimuli are drawn at the output canvas size, so nothing is cropped and
+ * their spatial frequencies hold at the view's pixels per degree
+ */
+function setupStimulusControls() {
+  STIMULUS_KINDS.forEach(({id, label}) => {
+    stimulusKind.add(new Option(label, id));
+  });
+  WAVEFORMS.forEach((waveform) => {
+    stimulusWaveform.add(
+      new Option(waveform[0].toUpperCase() + waveform.slice(1), waveform)
+    );
+  });
+
+  [
+    stimulusKind,
+    stimulusCpd,
+    stimulusContrast,
+    stimulusWaveform,
+    stimulusOrientation,
+    stimulusSide,
+  ].forEach((input) => {
+    input.addEventListener("input", readStimulusControls);
+  });
+
+  document
+    .getElementById("stimulusDone")
+    .addEventListener("click", closeStimulusPanel);
+
+  showStimulusControls();
+}
+
+function startStimulus() {
+  if (sourceKind !== "stimulus") {
+    stopCameraStream();
+    releaseFileSource();
+    stimulusCanvas = document.createElement("canvas");
+    stimulusKey = null;
+    updateStimulusImage();
+    setSourceKind("stimulus");
+    setMirrored(getSourceMirror("stimulus"));
+    updateInfoPanel();
+    startRenderLoop();
+    console.log("Source switched to stimulus:", describeStimulus(stimulus));
+  }
+  openStimulusPanel();
+}
+
+function openStimulusPanel() {
+  settingsPanel.classList.remove("active");
+  profileEditor.hidden = true;
+  infoPanel.hidden = true;
+  stimulusPanel.hidden = false;
+  updateStimulusNote();
+}
+
+function closeStimulusPanel() {
+  if (stimulusPanel.hidden) return;
+  infoPanel.hidden = false;
+  stimulusPanel.hidden = true;
+}
+
+function showStimulusControls() {
+  stimulusKind.value = stimulus.kind;
+  stimulusCpd.value = String(stimulus.cpd);
+  stimulusContrast.value = String(Math.round(stimulus.contrast * 100));
+  stimulusWaveform.value = stimulus.waveform;
+  stimulusOrientation.value = String(stimulus.orientationDeg);
+  stimulusSide.value = stimulus.side;
+  showStimulusFields();
+}
+
+/**
+ * Show only the inputs the chosen kind of stimulus uses
+ */
+function showStimulusFields() {
+  stimulusPanel.querySelectorAll("[data-stimulus-kinds]").forEach((field) => {
+    field.hidden = !field.dataset.stimulusKinds
+      .split(" ")
+      .includes(stimulus.kind);
+  });
+}
+
+/**
+ * Take the panel's values, keeping the last valid number for empty or
+ * out-of-range inputs
+ */
+function readStimulusControls() {
+  const readNumber = (input, min, max, fallback) => {
+    const value = Number(input.value);
+    return input.value !== "" && value >= min && value <= max
+      ? value
+      : fallback;
+  };
+
+  stimulus = {
+    kind: stimulusKind.value,
+    cpd: readNumber(stimulusCpd, 0.1, 30, stimulus.cpd),
+    contrast:
+      readNumber(stimulusContrast, 0, 100, stimulus.contrast * 100) / 100,
+    waveform: stimulusWaveform.value,
+    orientationDeg: readNumber(
+      stimulusOrientation,
+      -90,
+      90,
+      stimulus.orientationDeg
+    ),
+    side: stimulusSide.value,
+  };
+  showStimulusFields();
+  updateStimulusNote();
+}
+
+/**
+ * Redraw stimulusCanvas when the canvas size, FOV or stimulus changed
+ * A side-by-side source gets the same stimulus for both eyes
+ */
+function updateStimulusImage() {
+  const {width, height} = outputCanvas;
+  const eyeCount = sideBySide ? 2 : 1;
+  const hfovDeg = getSourceHfov();
+  const key = JSON.stringify([width, height, eyeCount, hfovDeg, stimulus]);
+  if (key === stimulusKey) return;
+
+  const image = renderStimulus(width, height, stimulus, {hfovDeg});
+  const imageData = new ImageData(image.data, width, height);
+  stimulusCanvas.width = width * eyeCount;
+  stimulusCanvas.height = height;
+  const ctx = stimulusCanvas.getContext("2d");
+  for (let eye = 0; eye < eyeCount; eye++) {
+    ctx.putImageData(imageData, eye * width, 0);
+  }
+  stimulusKey = key;
+}
+
+function updateStimulusNote() {
+  const {width, height} = outputCanvas;
+  const hfovDeg = getSourceHfov();
+  const pixelsPerDegree = estimatePixelsPerDegree(width, height, hfovDeg);
+  const maxCPD = getMaxStimulusCPD(width, height, hfovDeg);
+  const usesCpd = stimulus.kind === "grating" || stimulus.kind === "teller";
+
+  stimulusNote.textContent =
+    usesCpd && stimulus.cpd > maxCPD
+      ? `${stimulus.cpd} cpd is above the ${maxCPD.toFixed(
+          1
+        )} cpd this screen can show; the grating will alias`
+      : `${pixelsPerDegree.toFixed(
+          1
+        )} px/° across a ${hfovDeg}° view, up to ${maxCPD.toFixed(1)} cpd`;
+}
+
+/**
+ * Age selector generated from AGE_PRESETS
+ * The slider covers the month anchors in weeks on a square-root scale, so the
+ * fast-changing first months get more room; standalone profiles such as
+ * "adult" get their own buttons
+ */
+const AGE_SLIDER_STEPS = 1000;
+
+const AGE_ANCHOR_MONTHS = Object.keys(AGE_PRESETS)
+  .map(Number)
+  .filter((months) => !Number.isNaN(months))
+  .sort((a, b) => a - b);
+
+const MAX_AGE_WEEKS = Math.round(
+  AGE_ANCHOR_MONTHS[AGE_ANCHOR_MONTHS.length - 1] * WEEKS_PER_MONTH
+);
+
+function sliderToWeeks(value) {
+  return Math.round(MAX_AGE_WEEKS * Math.pow(value / AGE_SLIDER_STEPS, 2));
+}
+
+function weeksToSlider(weeks) {
+  return Math.round(Math.sqrt(weeks / MAX_AGE_WEEKS) * AGE_SLIDER_STEPS);
+}
+
+function setupAgeSlider() {
+  ageSlider.min = "0";
+  ageSlider.max = String(AGE_SLIDER_STEPS);
+  ageSlider.step = "1";
+
+  // Month ticks under the slider
+  AGE_ANCHOR_MONTHS.forEach((months) => {
+    const tick = document.createElement("span");
+    tick.className = "age-tick";
+    tick.style.left = `${
+      (weeksToSlider(months * WEEKS_PER_MONTH) / AGE_SLIDER_STEPS) * 100
+    }%`;
+    tick.textContent = months === 0 ? "Birth" : `${months}m`;
+    tick.title = `${AGE_PRESETS[months].label} · ${formatSnellen(
+      AGE_PRESETS[months]
+    )}`;
+    ageScale.appendChild(tick);
+  });
+
+  // Buttons for standalone profiles
+  Object.keys(AGE_PRESETS)
+    .filter((key) => Number.isNaN(Number(key)))
+    .forEach((key) => {
+      const button = document.createElement("button");
+      button.className = "age-profile";
+      button.dataset.profile = key;
+      button.textContent = `${AGE_PRESETS[key].label} · ${formatSnellen(
+        AGE_PRESETS[key]
+      )}`;
+      button.addEventListener("click", () => {
+        setAge(
+          selectedAge === key && !customPreset
+            ? sliderToWeeks(Number(ageSlider.value))
+            : key
+        );
+      });
+      ageProfiles.appendChild(button);
+    });
+
+  ageSlider.addEventListener("input", () => {
+    setAge(sliderToWeeks(Number(ageSlider.value)));
+  });
+
+  setAge(selectedAge);
+}
+
+function setAge(age) {
+  selectedAge = age;
+  customPreset = null;
+  currentPreset = getPresetForAge(age);
+  if (!profileEditor.hidden) showProfileDraft(getProfileDraft());
+  updateAgeReadout();
+}
+
+/**
+ * Age readout, slider and profile buttons for the current preset
+ * A custom profile shows its name and leaves the age controls inactive
+ */
+function updateAgeReadout() {
+  const age = selectedAge;
+  const isProfile = customPreset !== null || typeof age !== "number";
+  if (typeof age === "number") ageSlider.value = String(weeksToSlider(age));
+  ageSlider.classList.toggle("inactive", isProfile);
+  ageProfiles.querySelectorAll(".age-profile").forEach((button) => {
+    button.classList.toggle(
+      "active",
+      customPreset === null && button.dataset.profile === age
+    );
+  });
+
+  ageValue.textContent = isProfile ? currentPreset.label : String(age);
+  ageUnit.textContent = isProfile ? "" : age === 1 ? "week" : "weeks";
+  ageAcuity.textContent = formatSnellen(currentPreset);
+  updateInfoPanel();
+  scheduleLinkUpdate();
+}
+
+/**
+ * Vision profile editor
+ * One slider per PROFILE_FIELDS entry; every change is rendered live as a
+ * custom preset that replaces the selected age until the age is changed
+ */
+let profileDraft = null;
+const profileInputs = new Map();
+
+function setupProfileEditor() {
+  let group = null;
+  PROFILE_FIELDS.forEach((field) => {
+    if (field.group !== group) {
+      group = field.group;
+      const heading = document.createElement("h4");
+      heading.textContent = group;
+      profileFields.appendChild(heading);
+    }
+
+    const item = document.createElement("label");
+    item.className = "profile-field";
+    item.innerHTML = `
+      <span>${field.label} <output></output></span>
+      <input type="range" min="${field.min}" max="${field.max}" step="${field.step}" />
+    `;
+    const input = item.querySelector("input");
+    const output = item.querySelector("output");
+    input.addEventListener("input", () => {
+      setProfileField(profileDraft, field.key, Number(input.value));
+      output.textContent = input.value;
+      applyCustomPreset(profileDraft);
+    });
+    profileInputs.set(field.key, {input, output});
+    profileFields.appendChild(item);
+  });
+
+  profileEditorButton.addEventListener("click", openProfileEditor);
+  profileSelect.addEventListener("change", () => {
+    const profile = loadCustomProfiles().find(
+      ({label}) => label === profileSelect.value
+    );
+    if (!profile) return;
+    showProfileDraft(profile);
+    applyCustomPreset(profileDraft);
+  });
+  profileName.addEventListener("input", () => {
+    profileDraft.label = profileName.value.trim() || profileDraft.label;
+    applyCustomPreset(profileDraft);
+  });
+
+  document
+    .getElementById("profileSave")
+    .addEventListener("click", saveProfileDraft);
+  document
+    .getElementById("profileDelete")
+    .addEventListener("click", deleteSelectedProfile);
+  document
+    .getElementById("profileExport")
+    .addEventListener("click", exportProfileDraft);
+  document.getElementById("profileImport").addEventListener("click", () => {
+    profileFileInput.click();
+  });
+  document.getElementById("profileClose").addEventListener("click", () => {
+    profileEditor.hidden = true;
+  });
+
+  profileFileInput.addEventListener("change", () => {
+    const [file] = profileFileInput.files;
+    profileFileInput.value = "";
+    if (file) importProfileFile(file);
+  });
+}
+
+function openProfileEditor() {
+  closeCalibration();
+  closeStimulusPanel();
+  settingsPanel.classList.remove("active");
+  showProfileDraft(getProfileDraft());
+  refreshProfileSelect();
+  profileEditor.hidden = false;
+}
+
+/**
+ * Editable copy of the preset on screen
+ */
+function getProfileDraft() {
+  const profile = {
+    ...currentPreset,
+    coneSensitivity: {...currentPreset.coneSensitivity},
+  };
+  if (!customPreset) {
+    profile.label = `${currentPreset.label} (custom)`;
+    profile.description = `Custom profile based on ${currentPreset.label}.`;
+  }
+  return profile;
+}
+
+function showProfileDraft(profile) {
+  profileDraft = profile;
+  profileName.value = profile.label;
+  setProfileError(null);
+  PROFILE_FIELDS.forEach(({key}) => {
+    const {input, output} = profileInputs.get(key);
+    input.value = String(getProfileField(profile, key));
+    output.textContent = input.value;
+  });
+}
+
+function applyCustomPreset(profile) {
+  customPreset = {
+    ...profile,
+    coneSensitivity: {...profile.coneSensitivity},
+    ageWeeks: null,
+  };
+  currentPreset = customPreset;
+  updateAgeReadout();
+}
+
+function setProfileError(message) {
+  profileError.hidden = !message;
+  profileError.textContent = message || "";
+}
+
+function refreshProfileSelect(selectedLabel = "") {
+  const profiles = loadCustomProfiles();
+  profileSelect.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = profiles.length > 0 ? "Choose…" : "None saved";
+  profileSelect.appendChild(placeholder);
+  profiles.forEach(({label}) => {
+    const option = document.createElement("option");
+    option.value = label;
+    option.textContent = label;
+    profileSelect.appendChild(option);
+  });
+  profileSelect.value = selectedLabel;
+}
+
+function saveProfileDraft() {
+  try {
+    const saved = saveCustomProfile({
+      ...profileDraft,
+      label: profileName.value,
+    });
+    refreshProfileSelect(saved.label);
+    setProfileError(null);
+    console.log("Custom profile saved:", saved.label);
+  } catch (error) {
+    setProfileError(error.message);
+  }
+}
+
+function deleteSelectedProfile() {
+  if (!profileSelect.value) return;
+  deleteCustomProfile(profileSelect.value);
+  console.log("Custom profile deleted:", profileSelect.value);
+  refreshProfileSelect();
+}
+
+function exportProfileDraft() {
+  try {
+    const profile = validateProfile({
+      ...profileDraft,
+      label: profileName.value,
+    });
+    const slug = profile.label.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    downloadBlob(
+      new Blob([serializeProfile(profile)], {type: "application/json"}),
+      `${slug.replace(/^-+|-+$/g, "") || "profile"}.json`
+    );
+    setProfileError(null);
+  } catch (error) {
+    setProfileError(error.message);
+  }
+}
+
+async function importProfileFile(file) {
+  try {
+    const profile = parseProfileJson(await file.text());
+    showProfileDraft(profile);
+    applyCustomPreset(profileDraft);
+    console.log("Custom profile imported:", profile.label);
+  } catch (error) {
+    setProfileError(`${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Build one settings toggle per registered pipeline stage, followed by a
+ * slider for each of the stage's parameters
+ */
+function setupStageToggles() {
+  PIPELINE_STAGES.forEach((stage) => {
+    const item = document.createElement("label");
+    item.className = "setting-item";
+    item.dataset.stage = stage.id;
+    if (stage.presetFields.length > 0) {
+      item.title = `Reads ${stage.presetFields.join(", ")}`;
+    }
+    item.innerHTML = `
+      <input type="checkbox" ${enabledStages[stage.id] ? "checked" : ""} />
+      <span class="setting-label">${stage.label}</span>
+      <span class="setting-description">${stage.description}</span>
+    `;
+
+    const checkbox = item.querySelector("input");
+    checkbox.addEventListener("change", () => {
+      enabledStages[stage.id] = checkbox.checked;
+      updateInfoPanel();
+      scheduleLinkUpdate();
+    });
+
+    stageToggles.appendChild(item);
+
+    stage.params.forEach((param) => {
+      const paramItem = document.createElement("label");
+      paramItem.className = "setting-item slider-setting stage-param";
+      paramItem.innerHTML = `
+        <span class="setting-label"
+          >${param.label || param.key} <span class="setting-value"></span
+        ></span>
+        <input type="range" min="${param.min}" max="${param.max}"
+          step="${param.step || (param.max - param.min) / 100}" />
+      `;
+
+      const input = paramItem.querySelector("input");
+      input.addEventListener("input", () => {
+        stageParams = {
+          ...stageParams,
+          [stage.id]: {
+            ...stageParams[stage.id],
+            [param.key]: Number(input.value),
+          },
+        };
+        updateStageParamControls();
+        scheduleLinkUpdate();
+      });
+      stageParamInputs.set(`${stage.id}.${param.key}`, {
+        input,
+        value: paramItem.querySelector(".setting-value"),
+      });
+      stageToggles.appendChild(paramItem);
+    });
+  });
+
+  updateStageParamControls();
+}
+
+function updateStageParamControls() {
+  PIPELINE_STAGES.forEach((stage) => {
+    const values = getStageParams(stage, {stageParams});
+    stage.params.forEach(({key}) => {
+      const {input, value} = stageParamInputs.get(`${stage.id}.${key}`);
+      input.value = String(values[key]);
+      value.textContent = String(Number(values[key].toFixed(2)));
+    });
+  });
+}
+
+/**
+ * Error handling
  */
 function handleCameraError(error) {
+  console.error("Camera error:", error);
+  showCameraError(getCameraErrorKind(error), error);
+}
+
+/**
+ * Full-screen recovery steps for one kind of camera failure (see
+ * CAMERA_ERRORS in camera.js)
+ */
+function showCameraError(kind, error) {
+  const {title, text, steps} = CAMERA_ERRORS[kind];
+  cameraErrorKind = kind;
+  errorTitle.textContent = title;
+  errorText.textContent = text;
+  errorSteps.replaceChildren(
+    ...steps.map((step) => {
+      const item = document.createElement("li");
+      item.textContent = step;
+      return item;
+    })
+  );
+  errorMessage.textContent = error ? `Error: ${error.message}` : "";
+  errorRetry.hidden = kind === "unsupported";
+  errorScreen.hidden = false;
+  updateCameraControls();
+}
+
+function hideCameraError() {
+  cameraErrorKind = null;
+  errorScreen.hidden = true;
+}
+
+function handleSourceError(error) {
+  showErrorMessage(
+    "Unable to load file",
+    "Choose a still image or a video file your browser can play.",
+    error
+  );
+  console.error("Source error:", error);
+}
+
+function showErrorMessage(title, text, error) {
   const message = document.createElement("div");
   message.style.background = "rgba(255,0,0,0.08)";
   message.style.border = "1px solid rgba(255,0,0,0.25)";
   message.style.padding = "0.75rem";
   message.style.borderRadius = "10px";
   message.style.marginTop = "1rem";
-  message.innerHTML = `
-    <strong>Unable to access camera</strong><br>
-    Please allow camera permissions and use a supported browser over HTTPS or localhost.<br>
-    <small>Error: ${error.message}</small>
-  `;
+  // File names and error messages are shown as text, never as markup
+  const heading = document.createElement("strong");
+  heading.textContent = title;
+  const detail = document.createElement("small");
+  detail.textContent = `Error: ${error.message}`;
+  message.append(
+    heading,
+    document.createElement("br"),
+    text,
+    document.createElement("br"),
+    detail
+  );
   infoPanel.replaceChildren(message);
-  console.error("Camera error:", error);
 }
 
 /**
@@ -382,6 +2924,9 @@ function resizeCanvasToContainer() {
     Math.max(1, Math.floor(rect.width)),
     Math.max(1, Math.floor(rect.height))
   );
+  updateInfoPanel();
+  if (!calibrationPanel.hidden) updateCalibrationPreview();
+  if (!stimulusPanel.hidden) updateStimulusNote();
 }
 
 /**
@@ -389,6 +2934,12 @@ function resizeCanvasToContainer() {
  */
 function boot() {
   setupControls();
+
+  // Restore state from a shared link; its mirror setting waits for the source
+  const linkState = decodeLinkState(location.hash);
+  applyLinkState(linkState);
+  linkedMirror = linkState.mirror;
+  startVisionWorker();
   resizeCanvasToContainer();
   window.addEventListener("resize", resizeCanvasToContainer);
 
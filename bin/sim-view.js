@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+
+/**
+ * sim-view command-line interface
+ * Renders "as seen by an infant" versions of PNG/JPEG files and folders
+ *
+ *   npx sim-view render in/ --age 2 --out out/
+ *   npx sim-view stimulus grating --cpd 2 --out grating.png
+ *   npx sim-view replay bug.simsession --age 3 --out frames/
+ */
+
+import {parseArgs} from "node:util";
+import {
+  AGE_PRESETS,
+  VISION_CONSTANTS,
+  WEEKS_PER_MONTH,
+  getPresetForAge,
+} from "../vision.js";
+import {
+  STAGE_IDS,
+  DEFAULT_CAMERA_HFOV_DEG,
+  collectImageFiles,
+  readDepthMap,
+  renderFile,
+  renderStimulusFile,
+  renderSessionFiles,
+} from "../cli/render.js";
+import {PIPELINE_STAGES} from "../pipeline.js";
+import {CONDITION_IDS} from "../conditions.js";
+import {BINOCULAR_MODES} from "../binocular.js";
+import {STIMULUS_KINDS, WAVEFORMS, DEFAULT_STIMULUS} from "../stimuli.js";
+
+const STIMULUS_IDS = STIMULUS_KINDS.map((kind) => kind.id);
+
+const STAGE_PARAM_NAMES = PIPELINE_STAGES.flatMap((stage) =>
+  stage.params.map((param) => `${stage.id}.${param.key}`)
+);
+
+const AGE_MONTHS = Object.keys(AGE_PRESETS)
+  .map(Number)
+  .filter((months) => !Number.isNaN(months));
+const MAX_AGE_MONTHS = Math.max(...AGE_MONTHS);
+const AGE_PROFILES = Object.keys(AGE_PRESETS).filter((key) =>
+  Number.isNaN(Number(key))
+);
+const DEFAULT_AGE_MONTHS = "1";
+
+const USAGE = `Usage: sim-view render <file|dir>... --out <dir> [options]
+       sim-view stimulus <kind> --out <file> [options]
+       sim-view replay <session> --out <dir> [options]
+
+Render options:
+  --age <months>     Age in months, 0-${MAX_AGE_MONTHS}, fractions allowed (default: 1),
+                     or a reference profile: ${AGE_PROFILES.join(", ")}
+  --weeks <n>        Age in weeks from birth, instead of --age
+  --out <dir>        Output directory (required)
+  --mirror           Flip images horizontally before processing
+  --no-peripheral    Skip the peripheral vision stage
+  --darken-periphery Darken the periphery on top of the foveated blur
+  --fov <deg>        Horizontal field of view the image spans (default: ${DEFAULT_CAMERA_HFOV_DEG})
+  --distance <cm>    Distance of the whole scene from the baby (default: ${
+    100 / VISION_CONSTANTS.RESTING_FOCUS_D
+  })
+  --depth <file>     Grayscale depth map stretched over every input, white
+                     ${VISION_CONSTANTS.DEPTH_MAP_NEAR_CM} cm and black ${
+  VISION_CONSTANTS.DEPTH_MAP_FAR_CM
+} cm; overrides --distance
+  --condition <id=s> Eye condition with severity 0-1, repeatable
+                     ${CONDITION_IDS.join(", ")}
+  --binocular <mode> Simulate both eyes: ${BINOCULAR_MODES.join(" or ")} view,
+                     each eye's view made from --depth or --side-by-side
+                     (one of them is required)
+  --side-by-side     Inputs are left|right stereo pairs (needs --binocular);
+                     outputs are one eye wide
+  --stages <list>    Comma-separated stages to run (default: all)
+                     ${STAGE_IDS.join(", ")}
+  --param <s.key=n>  Parameter of a stage, repeatable${
+    STAGE_PARAM_NAMES.length > 0
+      ? `\n                     ${STAGE_PARAM_NAMES.join(", ")}`
+      : " (no stage has any)"
+  }
+  --quality <n>      JPEG quality 1-100 (default: 90)
+  -h, --help         Show this help
+
+Stimulus options:
+  <kind>             ${STIMULUS_IDS.join(", ")}
+  --out <file>       Output PNG or JPEG file (required)
+  --size <WxH>       Image size in pixels (default: 1280x720)
+  --fov <deg>        Field of view the image will be rendered with (default: ${DEFAULT_CAMERA_HFOV_DEG})
+  --cpd <n>          Grating or Teller card frequency, cycles per degree (default: ${
+    DEFAULT_STIMULUS.cpd
+  })
+  --contrast <c>     Grating contrast 0-1 (default: ${
+    DEFAULT_STIMULUS.contrast
+  })
+  --waveform <w>     Grating waveform: ${WAVEFORMS.join(" or ")} (default: ${
+  DEFAULT_STIMULUS.waveform
+})
+  --orientation <deg> Grating orientation, 0 for vertical bars (default: 0)
+  --side <side>      Teller card grating side: left or right (default: left)
+
+Replay options (sessions recorded in the app, .simsession files):
+  --out <dir>        Output directory for the numbered PNG frames (required)
+  --age, --weeks     Render at this age instead of the recorded preset
+  --condition <id=s> Eye condition, repeatable, with --age or --weeks
+
+Each output image gets a <name>.json sidecar listing the parameters used.`;
+
+/**
+ * Age in weeks from birth, or a reference profile key
+ */
+function parseAge(values) {
+  const age = values.age === undefined ? DEFAULT_AGE_MONTHS : values.age;
+  if (values.weeks === undefined && AGE_PROFILES.includes(age)) {
+    return age;
+  }
+
+  const ageWeeks =
+    values.weeks !== undefined
+      ? Number(values.weeks)
+      : Number(age) * WEEKS_PER_MONTH;
+  if (!(ageWeeks >= 0 && ageWeeks <= MAX_AGE_MONTHS * WEEKS_PER_MONTH + 1e-9)) {
+    throw new Error(
+      `Age must be between birth and ${MAX_AGE_MONTHS} months: ${
+        values.weeks !== undefined ? `${values.weeks} weeks` : age
+      }`
+    );
+  }
+  return ageWeeks;
+}
+
+/**
+ * {id: severity} from --condition id=severity values
+ */
+function parseConditions(entries) {
+  const conditions = {};
+  entries.forEach((entry) => {
+    const [id, value = "1"] = entry.split("=");
+    if (!CONDITION_IDS.includes(id)) {
+      throw new Error(`Unknown condition: ${id}`);
+    }
+    const severity = Number(value);
+    if (!(severity >= 0 && severity <= 1)) {
+      throw new Error(`Condition severity must be between 0 and 1: ${entry}`);
+    }
+    conditions[id] = severity;
+  });
+  return conditions;
+}
+
+/**
+ * {stageId: {key: value}} from --param stage.key=value values
+ */
+function parseStageParams(entries) {
+  const stageParams = {};
+  entries.forEach((entry) => {
+    const [name, value] = entry.split("=");
+    const [stageId, key] = name.split(".");
+    const stage = PIPELINE_STAGES.find(({id}) => id === stageId);
+    const param = stage && stage.params.find((param) => param.key === key);
+    if (!param) throw new Error(`Unknown stage parameter: ${name}`);
+
+    const number = value === undefined || value === "" ? NaN : Number(value);
+    if (!(number >= param.min && number <= param.max)) {
+      throw new Error(
+        `${name} must be between ${param.min} and ${param.max}: ${entry}`
+      );
+    }
+    stageParams[stageId] = {...stageParams[stageId], [key]: number};
+  });
+  return stageParams;
+}
+
+/**
+ * Options of the stimulus command: {command, kind, output, width, height,
+ * hfovDeg, stimulus}
+ */
+function parseStimulusOptions(values, args) {
+  const [kind, ...extra] = args;
+  if (!STIMULUS_IDS.includes(kind)) {
+    throw new Error(
+      `Stimulus must be one of ${STIMULUS_IDS.join(", ")}: ${kind || "none"}`
+    );
+  }
+  if (extra.length > 0) throw new Error(`Unexpected argument: ${extra[0]}`);
+  if (!values.out) throw new Error("Missing --out <file>");
+
+  const size = /^(\d+)x(\d+)$/.exec(values.size);
+  if (!size || Number(size[1]) < 1 || Number(size[2]) < 1) {
+    throw new Error(`--size must look like 1280x720: ${values.size}`);
+  }
+
+  const hfovDeg = Number(values.fov);
+  if (!(hfovDeg > 0 && hfovDeg < 180)) {
+    throw new Error(`--fov must be between 0 and 180 degrees: ${values.fov}`);
+  }
+
+  const cpd = Number(values.cpd);
+  if (!(cpd > 0)) {
+    throw new Error(`--cpd must be a positive number: ${values.cpd}`);
+  }
+
+  const contrast = Number(values.contrast);
+  if (!(contrast >= 0 && contrast <= 1)) {
+    throw new Error(`--contrast must be between 0 and 1: ${values.contrast}`);
+  }
+
+  if (!WAVEFORMS.includes(values.waveform)) {
+    throw new Error(
+      `--waveform must be ${WAVEFORMS.join(" or ")}: ${values.waveform}`
+    );
+  }
+
+  const orientationDeg = Number(values.orientation);
+  if (!Number.isFinite(orientationDeg)) {
+    throw new Error(`--orientation must be a number: ${values.orientation}`);
+  }
+
+  if (values.side !== "left" && values.side !== "right") {
+    throw new Error(`--side must be left or right: ${values.side}`);
+  }
+
+  return {
+    command: "stimulus",
+    output: values.out,
+    width: Number(size[1]),
+    height: Number(size[2]),
+    hfovDeg,
+    stimulus: {
+      kind,
+      cpd,
+      contrast,
+      waveform: values.waveform,
+      orientationDeg,
+      side: values.side,
+    },
+  };
+}
+
+/**
+ * Options of the replay command: {command, input, outDir, age, conditions}
+ * age is null unless --age or --weeks is given
+ */
+function parseReplayOptions(values, args) {
+  if (args.length !== 1) throw new Error("Give exactly one session file");
+  if (!values.out) throw new Error("Missing --out <dir>");
+  const hasAge = values.age !== undefined || values.weeks !== undefined;
+  if (values.condition.length > 0 && !hasAge) {
+    throw new Error("--condition needs --age or --weeks");
+  }
+  return {
+    command: "replay",
+    input: args[0],
+    outDir: values.out,
+    age: hasAge ? parseAge(values) : null,
+    conditions: parseConditions(values.condition),
+  };
+}
+
+function parseOptions(argv) {
+  const {values, positionals} = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      age: {type: "string"},
+      weeks: {type: "string"},
+      out: {type: "string"},
+      mirror: {type: "boolean", default: false},
+      "no-peripheral": {type: "boolean", default: false},
+      "darken-periphery": {type: "boolean", default: false},
+      fov: {type: "string", default: String(DEFAULT_CAMERA_HFOV_DEG)},
+      distance: {
+        type: "string",
+        default: String(100 / VISION_CONSTANTS.RESTING_FOCUS_D),
+      },
+      depth: {type: "string"},
+      condition: {type: "string", multiple: true, default: []},
+      binocular: {type: "string"},
+      "side-by-side": {type: "boolean", default: false},
+      stages: {type: "string", default: STAGE_IDS.join(",")},
+      param: {type: "string", multiple: true, default: []},
+      quality: {type: "string", default: "90"},
+      size: {type: "string", default: "1280x720"},
+      cpd: {type: "string", default: String(DEFAULT_STIMULUS.cpd)},
+      contrast: {type: "string", default: String(DEFAULT_STIMULUS.contrast)},
+      waveform: {type: "string", default: DEFAULT_STIMULUS.waveform},
+      orientation: {
+        type: "string",
+        default: String(DEFAULT_STIMULUS.orientationDeg),
+      },
+      side: {type: "string", default: DEFAULT_STIMULUS.side},
+      help: {type: "boolean", short: "h", default: false},
+    },
+  });
+
+  const [command, ...inputs] = positionals;
+  if (values.help || !command) return {help: true};
+  if (command === "stimulus") return parseStimulusOptions(values, inputs);
+  if (command === "replay") return parseReplayOptions(values, inputs);
+  if (command !== "render") throw new Error(`Unknown command: ${command}`);
+  if (inputs.length === 0) throw new Error("No input files or directories");
+  if (!values.out) throw new Error("Missing --out <dir>");
+
+  const age = parseAge(values);
+
+  const hfovDeg = Number(values.fov);
+  if (!(hfovDeg > 0 && hfovDeg < 180)) {
+    throw new Error(`--fov must be between 0 and 180 degrees: ${values.fov}`);
+  }
+
+  const objectDistanceCm = Number(values.distance);
+  if (!(objectDistanceCm > 0)) {
+    throw new Error(`--distance must be a positive number: ${values.distance}`);
+  }
+
+  const conditions = parseConditions(values.condition);
+
+  const binocular = values.binocular || null;
+  if (binocular && !BINOCULAR_MODES.includes(binocular)) {
+    throw new Error(
+      `--binocular must be ${BINOCULAR_MODES.join(" or ")}: ${binocular}`
+    );
+  }
+  if (values["side-by-side"] && !binocular) {
+    throw new Error("--side-by-side needs --binocular");
+  }
+  // Without depth both eyes would see the same image
+  if (binocular && !values.depth && !values["side-by-side"]) {
+    throw new Error("--binocular needs --depth or --side-by-side");
+  }
+
+  const stageParams = parseStageParams(values.param);
+
+  const quality = Number(values.quality);
+  if (!(quality >= 1 && quality <= 100)) {
+    throw new Error(`--quality must be between 1 and 100: ${values.quality}`);
+  }
+
+  const stages = values.stages
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const unknown = stages.filter((id) => !STAGE_IDS.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown stages: ${unknown.join(", ")}`);
+  }
+
+  return {
+    command,
+    inputs,
+    age,
+    outDir: values.out,
+    mirror: values.mirror,
+    hfovDeg,
+    objectDistanceCm,
+    depthFile: values.depth,
+    peripheralDarkening: values["darken-periphery"],
+    conditions,
+    binocular,
+    sideBySide: values["side-by-side"],
+    quality,
+    stageParams,
+    stages: values["no-peripheral"]
+      ? stages.filter((id) => id !== "field")
+      : stages,
+  };
+}
+
+async function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.command === "stimulus") {
+    const output = await renderStimulusFile(options);
+    console.log(`Wrote ${output}`);
+    return;
+  }
+
+  if (options.command === "replay") {
+    const count = await renderSessionFiles(options);
+    console.log(`Wrote ${count} frame(s) to ${options.outDir}`);
+    return;
+  }
+
+  const files = await collectImageFiles(options.inputs);
+  if (files.length === 0) throw new Error("No PNG or JPEG files found");
+
+  if (options.depthFile) {
+    options.depthMap = await readDepthMap(options.depthFile);
+  }
+
+  const preset = getPresetForAge(options.age);
+  console.log(
+    `Rendering ${files.length} file(s) as seen at ${
+      preset.label
+    } (${options.stages.join(", ")})`
+  );
+
+  // One file that fails to render does not stop the rest of the batch
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const output = await renderFile(file, options);
+      console.log(`  ${file.source} -> ${output}`);
+    } catch (error) {
+      console.error(`  ${file.source}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`sim-view: ${failed} of ${files.length} file(s) failed`);
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`sim-view: ${error.message}`);
+  console.error("Run sim-view --help for usage.");
+  process.exit(1);
+});
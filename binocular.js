@@ -0,0 +1,222 @@
+/**
+ * Binocular Vision Module
+ * Both eyes' views of a scene, from a side-by-side stereo pair or from an
+ * image plus depth map, and how an infant combines them: the lines of sight
+ * are misaligned, the weaker eye is partly suppressed, and the two images
+ * only fuse into one as stereopsis matures (preset.stereoFusion)
+ */
+
+import {
+  clamp01,
+  estimatePixelsPerDegree,
+  getFixationPoint,
+  getDepthLevelDiopters,
+  sampleBilinear,
+} from "./vision.js";
+
+const EYES = ["left", "right"];
+
+// Output modes: one fused percept, or red (left) / cyan (right) for 3D glasses
+const BINOCULAR_MODES = ["fused", "anaglyph"];
+
+// Color difference (linear light, 0-1) at which the eyes' images stop fusing
+// into one
+const FUSION_TOLERANCE = 0.08;
+
+/**
+ * Depth map level under pixel (x, y) of a width x height image
+ * The depth map is stretched over the image, as in applyDefocus
+ */
+function getDepthLevel(depthMap, x, y, width, height) {
+  const dx = Math.min(
+    depthMap.width - 1,
+    Math.floor((x * depthMap.width) / width)
+  );
+  const dy = Math.min(
+    depthMap.height - 1,
+    Math.floor((y * depthMap.height) / height)
+  );
+  return depthMap.data[dy * depthMap.width + dx];
+}
+
+/**
+ * Left and right halves of a side-by-side stereo image or frame, with the
+ * same kind of data array
+ */
+function splitSideBySide(image) {
+  const {width, height, data} = image;
+  const eyeWidth = Math.floor(width / 2);
+  const [left, right] = EYES.map((eye) => {
+    const view = {
+      width: eyeWidth,
+      height,
+      data: new data.constructor(eyeWidth * height * 4),
+    };
+    const offset = eye === "left" ? 0 : width - eyeWidth;
+    for (let y = 0; y < height; y++) {
+      const start = (y * width + offset) * 4;
+      view.data.set(
+        data.subarray(start, start + eyeWidth * 4),
+        y * eyeWidth * 4
+      );
+    }
+    return view;
+  });
+  return {left, right};
+}
+
+/**
+ * Turn an image seen from between the eyes into one eye's view, in place
+ * options: {hfovDeg, depthMap, fixation}
+ * Points nearer than the fixated depth shift towards the other eye's side,
+ * farther ones away from it: each eye gets half the disparity, which is the
+ * eye separation times the dioptric distance from the fixation plane.
+ * Nearer points hide farther ones, and the background they uncover is
+ * filled in from the farther side of each gap. Without a depth map the
+ * scene is one plane the eyes converge on, so both eyes see the same image.
+ */
+function applyEyeParallax(image, eye, preset, options = {}) {
+  const depthMap = options.depthMap;
+  if (!depthMap) return image;
+
+  const {width, height, data} = image;
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+  const center = getFixationPoint(width, height, options.fixation);
+  const fixationD = getDepthLevelDiopters(
+    getDepthLevel(
+      depthMap,
+      Math.min(width - 1, Math.floor(center.x)),
+      Math.min(height - 1, Math.floor(center.y)),
+      width,
+      height
+    )
+  );
+
+  // Horizontal shift in whole pixels for each of the 256 depth levels
+  const separationM = preset.interpupillaryDistanceCm / 100;
+  const sign = eye === "left" ? 1 : -1;
+  const shiftByLevel = new Int32Array(256);
+  for (let level = 0; level < 256; level++) {
+    const disparityDeg =
+      (separationM * (getDepthLevelDiopters(level) - fixationD) * 180) /
+      Math.PI;
+    shiftByLevel[level] = Math.round((sign * disparityDeg * ppd) / 2);
+  }
+
+  const source = Float32Array.from(data);
+  const rowLevels = new Int16Array(width);
+  for (let y = 0; y < height; y++) {
+    // Forward-map the row, nearest point winning; -1 marks uncovered pixels
+    rowLevels.fill(-1);
+    for (let x = 0; x < width; x++) {
+      const level = getDepthLevel(depthMap, x, y, width, height);
+      const target = x + shiftByLevel[level];
+      if (target < 0 || target >= width || level < rowLevels[target]) {
+        continue;
+      }
+      rowLevels[target] = level;
+      const from = (y * width + x) * 4;
+      const to = (y * width + target) * 4;
+      data[to] = source[from];
+      data[to + 1] = source[from + 1];
+      data[to + 2] = source[from + 2];
+    }
+
+    // Fill each gap from its farther neighbor (the uncovered background)
+    for (let x = 0; x < width; x++) {
+      if (rowLevels[x] >= 0) continue;
+      let end = x;
+      while (end < width && rowLevels[end] < 0) end++;
+      const before = x - 1;
+      let fill = end < width ? end : before;
+      if (before >= 0 && end < width && rowLevels[before] < rowLevels[end]) {
+        fill = before;
+      }
+      if (fill >= 0) {
+        const from = (y * width + fill) * 4;
+        for (let gap = x; gap < end; gap++) {
+          const to = (y * width + gap) * 4;
+          data[to] = data[from];
+          data[to + 1] = data[from + 1];
+          data[to + 2] = data[from + 2];
+        }
+      }
+      x = end;
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Combine the two eyes' processed frames into the left one, in place
+ * options: {binocular, hfovDeg}; binocular is one of BINOCULAR_MODES
+ *
+ * The eyes are offset by vergenceErrorDeg. In the fused view the right eye
+ * is weighted down by interocularSuppression, which leaves double images
+ * where the views do not line up; stereoFusion blends towards a single
+ * percept that averages the eyes only where they agree. The anaglyph keeps
+ * the eyes apart for red/cyan glasses and carries only stereoFusion's share
+ * of the disparity between them.
+ */
+function combineEyes(left, right, preset, options = {}) {
+  const {width, height, data} = left;
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+  const offsetPx = (preset.vergenceErrorDeg * ppd) / 2;
+  const fusion = clamp01(preset.stereoFusion);
+  const rightWeight = (1 - clamp01(preset.interocularSuppression)) / 2;
+  const anaglyph = options.binocular === "anaglyph";
+
+  const source = Float32Array.from(data);
+  const l = [0, 0, 0];
+  const r = [0, 0, 0];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+
+      if (anaglyph) {
+        // Without stereopsis the right eye carries the left eye's image
+        // (still misaligned), so the glasses show no depth
+        data[i] = sampleBilinear(source, width, height, x + offsetPx, y, 0);
+        for (let c = 1; c < 3; c++) {
+          const own = sampleBilinear(
+            right.data,
+            width,
+            height,
+            x - offsetPx,
+            y,
+            c
+          );
+          const other = sampleBilinear(
+            source,
+            width,
+            height,
+            x - offsetPx,
+            y,
+            c
+          );
+          data[i + c] = other + (own - other) * fusion;
+        }
+        continue;
+      }
+
+      let difference = 0;
+      for (let c = 0; c < 3; c++) {
+        l[c] = sampleBilinear(source, width, height, x + offsetPx, y, c);
+        r[c] = sampleBilinear(right.data, width, height, x - offsetPx, y, c);
+        difference = Math.max(difference, Math.abs(l[c] - r[c]));
+      }
+      const agreement = Math.exp(-Math.pow(difference / FUSION_TOLERANCE, 2));
+      for (let c = 0; c < 3; c++) {
+        const summed = l[c] + (r[c] - l[c]) * rightWeight;
+        const fused = l[c] + (r[c] - l[c]) * rightWeight * agreement;
+        data[i + c] = summed + (fused - summed) * fusion;
+      }
+    }
+  }
+
+  return left;
+}
+
+export {EYES, BINOCULAR_MODES, splitSideBySide, applyEyeParallax, combineEyes};
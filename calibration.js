@@ -0,0 +1,102 @@
+/**
+ * Field-of-view Calibration Module
+ * Derives a camera's horizontal field of view from an object of known size
+ * held at a known distance, and remembers it per device
+ */
+
+import {DEFAULT_CAMERA_HFOV_DEG} from "./vision.js";
+
+const STORAGE_KEY = "sim-view:fov-calibration";
+
+// ISO/IEC 7810 ID-1 (credit card) width
+const CREDIT_CARD_WIDTH_MM = 85.6;
+
+function degToRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function radToDeg(rad) {
+  return (rad * 180) / Math.PI;
+}
+
+/**
+ * Angle subtended by an object of objectWidthMm seen at distanceCm
+ */
+function getObjectAngleDeg(objectWidthMm, distanceCm) {
+  return radToDeg(2 * Math.atan(objectWidthMm / 2 / (distanceCm * 10)));
+}
+
+/**
+ * Camera horizontal FOV from a calibration measurement (pinhole model)
+ * spanFraction: share of the displayed width the object covers
+ * cropFraction: share of the camera frame width the display shows
+ */
+function computeCameraHfov({
+  objectWidthMm,
+  distanceCm,
+  spanFraction,
+  cropFraction = 1,
+}) {
+  const halfObject = degToRad(getObjectAngleDeg(objectWidthMm, distanceCm)) / 2;
+  const displayHalfTan = Math.tan(halfObject) / spanFraction;
+  return radToDeg(2 * Math.atan(displayHalfTan / cropFraction));
+}
+
+/**
+ * FOV of the displayed region when only cropFraction of the frame is shown
+ */
+function getCroppedHfov(cameraHfovDeg, cropFraction) {
+  const halfTan = Math.tan(degToRad(cameraHfovDeg) / 2);
+  return radToDeg(2 * Math.atan(halfTan * cropFraction));
+}
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error("Unable to read FOV calibration:", error);
+    return {};
+  }
+}
+
+function writeStore(store) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.error("Unable to save FOV calibration:", error);
+  }
+}
+
+/**
+ * Stored FOV for a device, or the default assumption
+ * Returns {hfovDeg, calibrated}
+ */
+function loadCalibration(deviceId) {
+  const hfovDeg = readStore()[deviceId];
+  if (typeof hfovDeg === "number" && hfovDeg > 0 && hfovDeg < 180) {
+    return {hfovDeg, calibrated: true};
+  }
+  return {hfovDeg: DEFAULT_CAMERA_HFOV_DEG, calibrated: false};
+}
+
+function saveCalibration(deviceId, hfovDeg) {
+  const store = readStore();
+  store[deviceId] = hfovDeg;
+  writeStore(store);
+}
+
+function clearCalibration(deviceId) {
+  const store = readStore();
+  delete store[deviceId];
+  writeStore(store);
+}
+
+export {
+  CREDIT_CARD_WIDTH_MM,
+  getObjectAngleDeg,
+  computeCameraHfov,
+  getCroppedHfov,
+  loadCalibration,
+  saveCalibration,
+  clearCalibration,
+};
@@ -0,0 +1,216 @@
+/**
+ * Camera Module
+ * Which camera to open and at what resolution, the getUserMedia constraints
+ * for it, and what to tell the user when it cannot be opened. The choice is
+ * remembered, so a phone pointed at the crib opens its rear camera next time.
+ */
+
+const STORAGE_KEY = "sim-view:camera";
+
+// Requested capture sizes; the camera picks the nearest it supports
+const CAMERA_RESOLUTIONS = [
+  {id: "360p", label: "640 × 360", width: 640, height: 360},
+  {id: "720p", label: "1280 × 720", width: 1280, height: 720},
+  {id: "1080p", label: "1920 × 1080", width: 1920, height: 1080},
+];
+const DEFAULT_RESOLUTION_ID = "720p";
+
+const CAMERA_FRAME_RATE = 30;
+
+// "user" faces the person holding the device, "environment" faces away
+const FACING_MODES = ["user", "environment"];
+
+/**
+ * Default choice: the front camera at 720p
+ * deviceId, when set, wins over facingMode
+ */
+const DEFAULT_CAMERA_CHOICE = {
+  deviceId: null,
+  facingMode: "user",
+  resolutionId: DEFAULT_RESOLUTION_ID,
+};
+
+// Recovery screens, keyed by getCameraErrorKind
+const CAMERA_ERRORS = {
+  denied: {
+    title: "Camera access blocked",
+    text: "The browser has been told not to share the camera with this page.",
+    steps: [
+      "Open the site settings from the icon next to the address and allow the camera",
+      "On iPhone or iPad: Settings, then Safari, then Camera, and choose Allow",
+      "Then press Try again",
+    ],
+  },
+  notFound: {
+    title: "No camera found",
+    text: "No camera is connected, or the camera that was chosen has gone.",
+    steps: [
+      "Connect a camera, or check that it is switched on and not covered",
+      "This screen tries again by itself when a camera is plugged in",
+      "You can still use an image, a video or a test stimulus",
+    ],
+  },
+  inUse: {
+    title: "Camera is busy",
+    text: "Another app or browser tab is using the camera.",
+    steps: [
+      "Close video calls and other tabs or apps using the camera",
+      "Then press Try again",
+    ],
+  },
+  unsupported: {
+    title: "Camera not available",
+    text: "This browser does not offer the camera to this page.",
+    steps: [
+      "Use a modern browser (Chrome, Firefox, Safari, Edge)",
+      "Open the simulator over HTTPS or from localhost",
+    ],
+  },
+  unknown: {
+    title: "Unable to access camera",
+    text: "The camera could not be started.",
+    steps: [
+      "Press Try again, or reload the page",
+      "You can still use an image, a video or a test stimulus",
+    ],
+  },
+};
+
+/**
+ * Whether the page can ask for a camera at all: browsers leave out
+ * navigator.mediaDevices on pages not served over HTTPS or from localhost
+ */
+function isCameraSupported() {
+  return Boolean(
+    typeof navigator !== "undefined" &&
+      navigator.mediaDevices &&
+      navigator.mediaDevices.getUserMedia
+  );
+}
+
+function getResolution(resolutionId) {
+  return (
+    CAMERA_RESOLUTIONS.find(({id}) => id === resolutionId) ||
+    CAMERA_RESOLUTIONS.find(({id}) => id === DEFAULT_RESOLUTION_ID)
+  );
+}
+
+/**
+ * getUserMedia constraints for a camera choice (see DEFAULT_CAMERA_CHOICE)
+ * A chosen device must be the one opened; a facing direction is a preference,
+ * so a laptop with only a front camera still opens it
+ */
+function getCameraConstraints(choice) {
+  const {width, height} = getResolution(choice.resolutionId);
+  const video = {
+    width: {ideal: width},
+    height: {ideal: height},
+    frameRate: {ideal: CAMERA_FRAME_RATE},
+  };
+  if (choice.deviceId) {
+    video.deviceId = {exact: choice.deviceId};
+  } else {
+    video.facingMode = {ideal: choice.facingMode};
+  }
+  return {video, audio: false};
+}
+
+/**
+ * Recovery screen for a getUserMedia failure, one of the CAMERA_ERRORS keys
+ * (unsupported is for pages where isCameraSupported is false)
+ * Browsers name the same failures differently, hence the older names
+ */
+function getCameraErrorKind(error) {
+  switch (error && error.name) {
+    case "NotAllowedError":
+    case "PermissionDeniedError":
+    case "SecurityError":
+      return "denied";
+    case "NotFoundError":
+    case "DevicesNotFoundError":
+    case "OverconstrainedError":
+      return "notFound";
+    case "NotReadableError":
+    case "TrackStartError":
+    case "AbortError":
+      return "inUse";
+    default:
+      return "unknown";
+  }
+}
+
+/**
+ * Facing direction guessed from a device label, or null
+ * Phones label their cameras e.g. "Back Camera" or "camera2 0, facing back"
+ */
+function getLabelFacingMode(label = "") {
+  if (/\b(back|rear|environment)\b/i.test(label)) return "environment";
+  if (/\b(front|user|facetime)\b/i.test(label)) return "user";
+  return null;
+}
+
+/**
+ * Name for a camera in the picker; labels stay empty until the user has
+ * granted access once
+ */
+function getCameraLabel(device, index) {
+  return device.label || `Camera ${index + 1}`;
+}
+
+/**
+ * Camera choice after flipping from facingMode: the first listed camera that
+ * looks like it faces the other way, or just the other facing direction
+ */
+function getFlippedChoice(choice, facingMode, devices) {
+  const facing = facingMode === "environment" ? "user" : "environment";
+  const device = devices.find(
+    ({label}) => getLabelFacingMode(label) === facing
+  );
+  return {
+    ...choice,
+    deviceId: device ? device.deviceId : null,
+    facingMode: facing,
+  };
+}
+
+/**
+ * Remembered camera choice, or the default
+ */
+function loadCameraChoice() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      deviceId: typeof stored.deviceId === "string" ? stored.deviceId : null,
+      facingMode: FACING_MODES.includes(stored.facingMode)
+        ? stored.facingMode
+        : DEFAULT_CAMERA_CHOICE.facingMode,
+      resolutionId: getResolution(stored.resolutionId).id,
+    };
+  } catch (error) {
+    console.error("Unable to read camera choice:", error);
+    return {...DEFAULT_CAMERA_CHOICE};
+  }
+}
+
+function saveCameraChoice(choice) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(choice));
+  } catch (error) {
+    console.error("Unable to save camera choice:", error);
+  }
+}
+
+export {
+  CAMERA_RESOLUTIONS,
+  FACING_MODES,
+  DEFAULT_CAMERA_CHOICE,
+  CAMERA_ERRORS,
+  isCameraSupported,
+  getCameraConstraints,
+  getCameraErrorKind,
+  getLabelFacingMode,
+  getCameraLabel,
+  getFlippedChoice,
+  loadCameraChoice,
+  saveCameraChoice,
+};
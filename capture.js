@@ -0,0 +1,171 @@
+/**
+ * Capture Module
+ * Snapshot export with an optional caption strip, and WebM recording of the
+ * processed output canvas
+ */
+
+// Recordings stop on their own once they reach this size
+const MAX_RECORDING_BYTES = 50 * 1024 * 1024;
+
+const RECORDING_FRAME_RATE = 30;
+
+// How often MediaRecorder hands over data, so the size limit is checked
+const RECORDING_CHUNK_MS = 1000;
+
+const RECORDING_MIME_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+const CAPTION_FONT_PX = 14;
+const CAPTION_LINE_HEIGHT = 20;
+const CAPTION_PADDING = 12;
+
+function isRecordingSupported() {
+  return (
+    typeof MediaRecorder !== "undefined" &&
+    typeof HTMLCanvasElement.prototype.captureStream === "function" &&
+    getRecordingMimeType() !== null
+  );
+}
+
+/**
+ * First WebM type this browser can record, or null
+ */
+function getRecordingMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return (
+    RECORDING_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ||
+    null
+  );
+}
+
+/**
+ * Copy of the canvas with captionLines in a strip underneath
+ * Without caption lines the copy is just the frame
+ */
+function createSnapshotCanvas(sourceCanvas, captionLines = []) {
+  const {width, height} = sourceCanvas;
+  const stripHeight =
+    captionLines.length > 0
+      ? captionLines.length * CAPTION_LINE_HEIGHT + CAPTION_PADDING * 2
+      : 0;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height + stripHeight;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(sourceCanvas, 0, 0);
+
+  if (stripHeight > 0) {
+    ctx.fillStyle = "#1a1a2e";
+    ctx.fillRect(0, height, width, stripHeight);
+    ctx.fillStyle = "#fff";
+    ctx.font = `${CAPTION_FONT_PX}px system-ui, -apple-system, sans-serif`;
+    ctx.textBaseline = "middle";
+    captionLines.forEach((line, index) => {
+      ctx.fillText(
+        line,
+        CAPTION_PADDING,
+        height + CAPTION_PADDING + (index + 0.5) * CAPTION_LINE_HEIGHT,
+        width - CAPTION_PADDING * 2
+      );
+    });
+  }
+
+  return canvas;
+}
+
+function canvasToBlob(canvas, type = "image/png") {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("Unable to encode the snapshot"));
+    }, type);
+  });
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * File name stamped with the local date and time
+ */
+function getCaptureFilename(prefix, extension, date = new Date()) {
+  const pad = (value) => String(value).padStart(2, "0");
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${prefix}-${stamp}.${extension}`;
+}
+
+/**
+ * Record the canvas to WebM until stop() is called or maxBytes is reached
+ * Returns {startMs, bytes, stop()}
+ * onProgress(bytes, elapsedMs) runs after each chunk, onStop(blob, reason)
+ * once with reason "stopped" or "size-limit"
+ */
+function startRecording(
+  canvas,
+  {maxBytes = MAX_RECORDING_BYTES, onProgress = () => {}, onStop}
+) {
+  const mimeType = getRecordingMimeType();
+  if (!mimeType) throw new Error("This browser cannot record WebM video");
+
+  const stream = canvas.captureStream(RECORDING_FRAME_RATE);
+  const recorder = new MediaRecorder(stream, {mimeType});
+  const chunks = [];
+  const startMs = performance.now();
+  let bytes = 0;
+  let reason = "stopped";
+
+  recorder.addEventListener("dataavailable", (event) => {
+    if (event.data.size === 0) return;
+    chunks.push(event.data);
+    bytes += event.data.size;
+    onProgress(bytes, performance.now() - startMs);
+    if (bytes >= maxBytes && recorder.state === "recording") {
+      reason = "size-limit";
+      recorder.stop();
+    }
+  });
+
+  recorder.addEventListener("stop", () => {
+    stream.getTracks().forEach((track) => track.stop());
+    onStop(new Blob(chunks, {type: "video/webm"}), reason);
+  });
+
+  recorder.start(RECORDING_CHUNK_MS);
+
+  return {
+    startMs,
+    get bytes() {
+      return bytes;
+    },
+    stop() {
+      if (recorder.state !== "inactive") recorder.stop();
+    },
+  };
+}
+
+export {
+  MAX_RECORDING_BYTES,
+  isRecordingSupported,
+  createSnapshotCanvas,
+  canvasToBlob,
+  downloadBlob,
+  getCaptureFilename,
+  startRecording,
+};
@@ -0,0 +1,80 @@
+/**
+ * Image file I/O for the command-line renderer
+ * Decodes PNG/JPEG files into RGBA buffers shaped like ImageData and back
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import {PNG} from "pngjs";
+import jpeg from "jpeg-js";
+
+const IMAGE_FORMATS = {
+  ".png": "png",
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+};
+
+function getImageFormat(filePath) {
+  return IMAGE_FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+async function readImage(filePath) {
+  const format = getImageFormat(filePath);
+  const bytes = await fs.readFile(filePath);
+
+  if (format === "png") {
+    const png = PNG.sync.read(bytes);
+    return {
+      width: png.width,
+      height: png.height,
+      data: new Uint8ClampedArray(
+        png.data.buffer,
+        png.data.byteOffset,
+        png.data.length
+      ),
+    };
+  }
+
+  if (format === "jpeg") {
+    const decoded = jpeg.decode(bytes, {useTArray: true, formatAsRGBA: true});
+    return {
+      width: decoded.width,
+      height: decoded.height,
+      data: new Uint8ClampedArray(
+        decoded.data.buffer,
+        decoded.data.byteOffset,
+        decoded.data.length
+      ),
+    };
+  }
+
+  throw new Error(`Unsupported image format: ${filePath}`);
+}
+
+async function writeImage(filePath, image, {quality = 90} = {}) {
+  const format = getImageFormat(filePath);
+  const pixels = Buffer.from(
+    image.data.buffer,
+    image.data.byteOffset,
+    image.data.length
+  );
+  let bytes;
+
+  if (format === "png") {
+    const png = new PNG({width: image.width, height: image.height});
+    pixels.copy(png.data);
+    bytes = PNG.sync.write(png);
+  } else if (format === "jpeg") {
+    bytes = jpeg.encode(
+      {width: image.width, height: image.height, data: pixels},
+      quality
+    ).data;
+  } else {
+    throw new Error(`Unsupported image format: ${filePath}`);
+  }
+
+  await fs.mkdir(path.dirname(filePath), {recursive: true});
+  await fs.writeFile(filePath, bytes);
+}
+
+export {getImageFormat, readImage, writeImage};
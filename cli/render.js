@@ -0,0 +1,252 @@
+/**
+ * Batch renderer for the command-line simulator
+ * Applies the AGE_PRESETS pipeline to image files and writes JSON sidecars
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import {
+  DEFAULT_CAMERA_HFOV_DEG,
+  estimatePixelsPerDegree,
+  getPresetForAge,
+  createDepthMap,
+} from "../vision.js";
+import {
+  PIPELINE_STAGES,
+  getStageParams,
+  runImagePipeline,
+  runBinocularImagePipeline,
+} from "../pipeline.js";
+import "../stage-plugins.js";
+import {getConditionPreset} from "../conditions.js";
+import {
+  getMaxStimulusCPD,
+  renderStimulus,
+  describeStimulus,
+} from "../stimuli.js";
+import {decodeSession, getSessionDuration, replaySession} from "../session.js";
+import {getImageFormat, readImage, writeImage} from "./image-io.js";
+
+const STAGE_IDS = PIPELINE_STAGES.map((stage) => stage.id);
+
+/**
+ * Resolve CLI input paths to {source, relative} file entries
+ * Directories are walked recursively; relative keeps their layout in --out
+ */
+async function collectImageFiles(inputs) {
+  const files = [];
+
+  async function walk(dir, root) {
+    const entries = await fs.readdir(dir, {withFileTypes: true});
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath, root);
+      } else if (getImageFormat(fullPath)) {
+        files.push({source: fullPath, relative: path.relative(root, fullPath)});
+      }
+    }
+  }
+
+  for (const input of inputs) {
+    const stats = await fs.stat(input);
+    if (stats.isDirectory()) {
+      await walk(input, input);
+    } else if (getImageFormat(input)) {
+      files.push({source: input, relative: path.basename(input)});
+    } else {
+      throw new Error(`Not a PNG or JPEG file: ${input}`);
+    }
+  }
+
+  return files;
+}
+
+function mirrorDepthMap(depthMap) {
+  const {width, height, data} = depthMap;
+  const mirrored = new Uint8Array(data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      mirrored[y * width + x] = data[y * width + (width - 1 - x)];
+    }
+  }
+  return {width, height, data: mirrored};
+}
+
+function mirrorImage(image) {
+  const {width, height, data} = image;
+  for (let y = 0; y < height; y++) {
+    const row = y * width * 4;
+    for (let left = 0, right = width - 1; left < right; left++, right--) {
+      const a = row + left * 4;
+      const b = row + right * 4;
+      for (let c = 0; c < 4; c++) {
+        const tmp = data[a + c];
+        data[a + c] = data[b + c];
+        data[b + c] = tmp;
+      }
+    }
+  }
+  return image;
+}
+
+/**
+ * Read a grayscale depth map image, white meaning near
+ */
+async function readDepthMap(file) {
+  return createDepthMap(await readImage(file));
+}
+
+/**
+ * Render one file and write its sidecar next to the output
+ * options: {age, outDir, mirror, hfovDeg, objectDistanceCm, depthFile,
+ * depthMap, peripheralDarkening, conditions, binocular, sideBySide, stages,
+ * stageParams, quality}
+ * age is in weeks from birth, or a reference profile key such as "adult";
+ * depthMap is depthFile already read with readDepthMap; binocular is null,
+ * "fused" or "anaglyph", and sideBySide inputs hold a left|right stereo pair
+ */
+async function renderFile(file, options) {
+  const preset = getConditionPreset(
+    getPresetForAge(options.age),
+    options.conditions
+  );
+  const output = path.join(options.outDir, file.relative);
+  let image = await readImage(file.source);
+
+  if (options.mirror) mirrorImage(image);
+
+  // The depth map is stretched over the image, so it mirrors with it
+  let depthMap = options.depthMap || null;
+  if (depthMap && options.mirror) {
+    depthMap = mirrorDepthMap(depthMap);
+  }
+
+  const settings = {
+    enabledStages: Object.fromEntries(
+      STAGE_IDS.map((id) => [id, options.stages.includes(id)])
+    ),
+    stageParams: options.stageParams || {},
+    hfovDeg: options.hfovDeg,
+    objectDistanceCm: options.objectDistanceCm,
+    depthMap,
+    peripheralDarkening: options.peripheralDarkening,
+    binocular: options.binocular,
+    sideBySide: options.sideBySide,
+  };
+  if (options.binocular) {
+    image = runBinocularImagePipeline(image, preset, settings);
+  } else {
+    runImagePipeline(image, preset, settings);
+  }
+
+  await writeImage(output, image, {quality: options.quality});
+
+  const sidecar = {
+    source: file.source,
+    output,
+    width: image.width,
+    height: image.height,
+    age: options.age,
+    mirror: options.mirror,
+    hfovDeg: options.hfovDeg,
+    objectDistanceCm: depthMap ? null : options.objectDistanceCm,
+    depthMap: depthMap ? options.depthFile : null,
+    peripheralDarkening: options.peripheralDarkening,
+    binocular: options.binocular,
+    sideBySide: options.sideBySide,
+    pixelsPerDegree: estimatePixelsPerDegree(
+      image.width,
+      image.height,
+      options.hfovDeg
+    ),
+    stages: STAGE_IDS.filter((id) => settings.enabledStages[id]),
+    stageParams: Object.fromEntries(
+      PIPELINE_STAGES.filter(
+        (stage) => settings.enabledStages[stage.id] && stage.params.length > 0
+      ).map((stage) => [stage.id, getStageParams(stage, settings)])
+    ),
+    preset,
+  };
+  await fs.writeFile(`${output}.json`, JSON.stringify(sidecar, null, 2) + "\n");
+
+  return output;
+}
+
+/**
+ * Write a test stimulus image and its sidecar
+ * options: {output, width, height, hfovDeg, stimulus}
+ */
+async function renderStimulusFile(options) {
+  const {output, width, height, hfovDeg, stimulus} = options;
+  const image = renderStimulus(width, height, stimulus, {hfovDeg});
+  await writeImage(output, image);
+
+  const sidecar = {
+    output,
+    width,
+    height,
+    hfovDeg,
+    pixelsPerDegree: estimatePixelsPerDegree(width, height, hfovDeg),
+    maxCPD: getMaxStimulusCPD(width, height, hfovDeg),
+    description: describeStimulus(stimulus),
+    stimulus,
+  };
+  await fs.writeFile(`${output}.json`, JSON.stringify(sidecar, null, 2) + "\n");
+
+  return output;
+}
+
+/**
+ * Replay a recorded session into numbered PNG frames and a session.json
+ * sidecar, frame for frame as it was rendered when recorded
+ * options: {input, outDir, age, conditions}; age null keeps the recorded
+ * preset, otherwise the age and conditions replace it
+ * Returns the number of frames written
+ */
+async function renderSessionFiles(options) {
+  const session = await decodeSession(await fs.readFile(options.input));
+  const preset =
+    options.age === null
+      ? null
+      : getConditionPreset(getPresetForAge(options.age), options.conditions);
+
+  const digits = String(session.frames.length).length;
+  const outputs = [];
+  for (const {index, image} of replaySession(session, {preset})) {
+    const output = path.join(
+      options.outDir,
+      `frame-${String(index + 1).padStart(digits, "0")}.png`
+    );
+    await writeImage(output, image);
+    outputs.push(output);
+  }
+
+  const sidecar = {
+    source: options.input,
+    frames: outputs.length,
+    durationMs: getSessionDuration(session),
+    randomSeed: session.randomSeed,
+    age: options.age,
+    conditions: options.age === null ? null : options.conditions,
+    preset,
+    outputs,
+  };
+  await fs.writeFile(
+    path.join(options.outDir, "session.json"),
+    JSON.stringify(sidecar, null, 2) + "\n"
+  );
+
+  return outputs.length;
+}
+
+export {
+  STAGE_IDS,
+  DEFAULT_CAMERA_HFOV_DEG,
+  collectImageFiles,
+  readDepthMap,
+  renderFile,
+  renderStimulusFile,
+  renderSessionFiles,
+};
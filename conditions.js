@@ -0,0 +1,314 @@
+/**
+ * Eye Conditions Module
+ * Clinical condition profiles that stack on top of any age preset. Each
+ * condition has a severity from 0 (off) to 1; it adjusts preset fields and,
+ * for some conditions, adds an image effect in the "condition" stage.
+ */
+
+import {
+  estimatePixelsPerDegree,
+  getFixationPoint,
+  sampleBilinear,
+  srgbToLinear,
+} from "./vision.js";
+
+// Cataract: haze color (8-bit sRGB, kept as linear light) and the size of the
+// central veil around fixation
+const CATARACT_HAZE = [235, 230, 215].map((v) => srgbToLinear(v / 255));
+const CATARACT_VEIL_RADIUS_DEG = 20;
+
+// Strabismic amblyopia: positional uncertainty, smooth over this cell size
+const DISTORTION_CELL_DEG = 2;
+const MAX_DISTORTION_DEG = 0.75;
+
+// Angle of the eye turn in strabismus at full severity
+const MAX_STRABISMUS_DEG = 10;
+
+// Infantile nystagmus: pendular horizontal oscillation
+const NYSTAGMUS_FREQUENCY_HZ = 4;
+const MAX_NYSTAGMUS_AMPLITUDE_DEG = 3;
+const NYSTAGMUS_BLUR_SAMPLES = 8; // positions averaged for still images
+
+// Refractive error at full severity, diopters
+const MAX_HYPEROPIA_D = 8;
+const MAX_MYOPIA_D = 10;
+
+/**
+ * Acuity scaled by factor; the CSF peak stays below the new cutoff
+ */
+function scaleAcuity(preset, factor) {
+  const spatialCutoffCPD = preset.spatialCutoffCPD * factor;
+  return {
+    spatialCutoffCPD,
+    snellenDenominator: preset.snellenDenominator / factor,
+    peakSensitivityCPD: Math.min(
+      preset.peakSensitivityCPD,
+      spatialCutoffCPD / 2
+    ),
+  };
+}
+
+/**
+ * Amblyopia in binocular view: the weaker eye is suppressed and stereopsis
+ * is lost; turnDeg is added to the vergence misalignment
+ */
+function impairBinocular(preset, severity, turnDeg) {
+  return {
+    vergenceErrorDeg: preset.vergenceErrorDeg + turnDeg * severity,
+    interocularSuppression:
+      preset.interocularSuppression +
+      (1 - preset.interocularSuppression) * 0.8 * severity,
+    stereoFusion: preset.stereoFusion * (1 - severity),
+  };
+}
+
+/**
+ * Condition profiles, in the order they are applied
+ * adjust(preset, severity) returns the preset fields it changes
+ */
+const CONDITIONS = [
+  {
+    id: "cataract",
+    label: "Congenital cataract",
+    description:
+      "A clouded lens scatters light into a veil over the center of view, washing out contrast and detail. Dense cataracts need surgery in the first weeks, before they cause deprivation amblyopia.",
+    adjust: (preset, severity) => ({
+      ...scaleAcuity(preset, 1 - 0.7 * severity),
+      scatteringFactor: Math.min(1, preset.scatteringFactor + 0.6 * severity),
+      contrastSensitivityPeak:
+        preset.contrastSensitivityPeak * (1 - 0.8 * severity),
+    }),
+  },
+  {
+    id: "anisometropicAmblyopia",
+    label: "Anisometropic amblyopia",
+    description:
+      "One eye needs a much stronger lens than the other, so the brain learns to rely on the clearer eye. The weaker eye loses acuity and contrast sensitivity unless glasses and patching start early.",
+    adjust: (preset, severity) => ({
+      ...scaleAcuity(preset, 1 - 0.75 * severity),
+      contrastSensitivityPeak:
+        preset.contrastSensitivityPeak * (1 - 0.5 * severity),
+      ...impairBinocular(preset, severity, 0),
+    }),
+  },
+  {
+    id: "strabismicAmblyopia",
+    label: "Strabismic amblyopia",
+    description:
+      "A turned eye sends a mismatched image that the brain suppresses. Besides lower acuity, shapes look distorted and jumbled because the eye's sense of position is uncertain.",
+    adjust: (preset, severity) => ({
+      ...scaleAcuity(preset, 1 - 0.6 * severity),
+      contrastSensitivityPeak:
+        preset.contrastSensitivityPeak * (1 - 0.3 * severity),
+      ...impairBinocular(preset, severity, MAX_STRABISMUS_DEG),
+    }),
+  },
+  {
+    id: "nystagmus",
+    label: "Infantile nystagmus",
+    description:
+      "The eyes oscillate involuntarily, so the image keeps sliding across the retina. Little time is spent with the target on the fovea, which lowers acuity and smears motion.",
+    adjust: (preset, severity) => scaleAcuity(preset, 1 - 0.4 * severity),
+  },
+  {
+    id: "hyperopia",
+    label: "High hyperopia",
+    description:
+      "The eye is too short, so focusing uses up accommodation even for distant objects. Near objects blur first; uncorrected high hyperopia can lead to a turned eye and amblyopia.",
+    adjust: (preset, severity) => ({
+      refractiveErrorD: preset.refractiveErrorD + MAX_HYPEROPIA_D * severity,
+    }),
+  },
+  {
+    id: "myopia",
+    label: "High myopia",
+    description:
+      "The eye is too long, so only near objects come into focus. Everything beyond the far point blurs, however hard the eye accommodates.",
+    adjust: (preset, severity) => ({
+      refractiveErrorD: preset.refractiveErrorD - MAX_MYOPIA_D * severity,
+    }),
+  },
+];
+
+const CONDITION_IDS = CONDITIONS.map((condition) => condition.id);
+
+/**
+ * Active conditions with their severity, in application order
+ * conditions: {id: severity}; unknown ids and severities <= 0 are dropped
+ */
+function getActiveConditions(conditions = {}) {
+  return CONDITIONS.filter((condition) => conditions[condition.id] > 0).map(
+    (condition) => ({
+      ...condition,
+      severity: Math.min(1, conditions[condition.id]),
+    })
+  );
+}
+
+/**
+ * Copy of preset with the conditions applied
+ * The severities are kept in preset.conditions for the condition stage
+ */
+function getConditionPreset(preset, conditions) {
+  const active = getActiveConditions(conditions);
+  if (active.length === 0) return preset;
+
+  let result = {...preset, coneSensitivity: {...preset.coneSensitivity}};
+  active.forEach((condition) => {
+    result = {...result, ...condition.adjust(result, condition.severity)};
+  });
+  result.conditions = Object.fromEntries(
+    active.map((condition) => [condition.id, condition.severity])
+  );
+  return result;
+}
+
+/**
+ * Severity written as a diopter value for refractive errors, else a percent
+ */
+function formatSeverity(id, severity) {
+  if (id === "hyperopia") {
+    return `+${(MAX_HYPEROPIA_D * severity).toFixed(1)} D`;
+  }
+  if (id === "myopia") {
+    return `-${(MAX_MYOPIA_D * severity).toFixed(1)} D`;
+  }
+  return `${Math.round(severity * 100)}%`;
+}
+
+/**
+ * Cataract veil: blend toward a bright haze, densest around fixation
+ */
+function applyCataractVeil(image, severity, options) {
+  const {width, height, data} = image;
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+  const center = getFixationPoint(width, height, options.fixation);
+  const radiusPx = CATARACT_VEIL_RADIUS_DEG * ppd;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const r = Math.hypot(x + 0.5 - center.x, y + 0.5 - center.y) / radiusPx;
+      const veil = severity * (0.2 + 0.5 * Math.exp(-0.5 * r * r));
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[i + c] += (CATARACT_HAZE[c] - data[i + c]) * veil;
+      }
+    }
+  }
+}
+
+/**
+ * Smooth pseudo-random value in [-1, 1] for lattice point (ix, iy)
+ */
+function latticeNoise(ix, iy, seed) {
+  const n = Math.sin(ix * 127.1 + iy * 311.7 + seed * 74.7) * 43758.5453;
+  return (n - Math.floor(n)) * 2 - 1;
+}
+
+function smoothNoise(x, y, seed) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+  const top =
+    latticeNoise(ix, iy, seed) +
+    (latticeNoise(ix + 1, iy, seed) - latticeNoise(ix, iy, seed)) * sx;
+  const bottom =
+    latticeNoise(ix, iy + 1, seed) +
+    (latticeNoise(ix + 1, iy + 1, seed) - latticeNoise(ix, iy + 1, seed)) * sx;
+  return top + (bottom - top) * sy;
+}
+
+/**
+ * Strabismic amblyopia: a fixed, smooth displacement field jumbles shapes
+ */
+function applySpatialDistortion(image, severity, options) {
+  const {width, height, data} = image;
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+  const cellPx = DISTORTION_CELL_DEG * ppd;
+  const amplitudePx = MAX_DISTORTION_DEG * severity * ppd;
+  if (amplitudePx < 0.25) return;
+
+  const source = Float32Array.from(data);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dx = smoothNoise(x / cellPx, y / cellPx, 1) * amplitudePx;
+      const dy = smoothNoise(x / cellPx, y / cellPx, 2) * amplitudePx;
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = sampleBilinear(source, width, height, x + dx, y + dy, c);
+      }
+    }
+  }
+}
+
+/**
+ * Nystagmus: shift the image along the oscillation at frameTimeMs, or
+ * average a whole cycle for still images without a frame time
+ */
+function applyNystagmus(image, severity, options) {
+  const {width, height, data} = image;
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+  const amplitudePx = MAX_NYSTAGMUS_AMPLITUDE_DEG * severity * ppd;
+  if (amplitudePx < 0.25) return;
+
+  const shifts =
+    typeof options.frameTimeMs === "number"
+      ? [
+          amplitudePx *
+            Math.sin(
+              (2 * Math.PI * NYSTAGMUS_FREQUENCY_HZ * options.frameTimeMs) /
+                1000
+            ),
+        ]
+      : Array.from(
+          {length: NYSTAGMUS_BLUR_SAMPLES},
+          (_, k) =>
+            amplitudePx * Math.sin((2 * Math.PI * k) / NYSTAGMUS_BLUR_SAMPLES)
+        );
+
+  const source = Float32Array.from(data);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        let sum = 0;
+        for (const shift of shifts) {
+          sum += sampleBilinear(source, width, height, x - shift, y, c);
+        }
+        data[i + c] = sum / shifts.length;
+      }
+    }
+  }
+}
+
+/**
+ * Condition stage: image effects of the conditions in preset.conditions
+ * (see getConditionPreset); the rest of each condition is in the preset
+ */
+function applyConditionEffects(image, preset, options = {}) {
+  const conditions = preset.conditions;
+  if (!conditions) return image;
+
+  if (conditions.cataract > 0) {
+    applyCataractVeil(image, conditions.cataract, options);
+  }
+  if (conditions.strabismicAmblyopia > 0) {
+    applySpatialDistortion(image, conditions.strabismicAmblyopia, options);
+  }
+  if (conditions.nystagmus > 0) {
+    applyNystagmus(image, conditions.nystagmus, options);
+  }
+  return image;
+}
+
+export {
+  CONDITIONS,
+  CONDITION_IDS,
+  getActiveConditions,
+  getConditionPreset,
+  formatSeverity,
+  applyConditionEffects,
+};
@@ -0,0 +1,126 @@
+/**
+ * Automatic Gaze Module
+ * Moves the fixation point toward high-contrast regions of the processed
+ * frame, the way young infants are drawn to bold edges. Fixations are held
+ * for a dwell time before the gaze moves on, and moves are smoothed.
+ */
+
+import {DEFAULT_FIXATION} from "./vision.js";
+
+// Width of the luminance grid the frame is reduced to before analysis
+const GAZE_GRID_WIDTH = 48;
+
+// Young infants hold fixations for seconds ("sticky fixation")
+const GAZE_DWELL_MS = 1500;
+
+// Time constant of the smoothed move towards a new target
+const GAZE_SMOOTHING_MS = 150;
+
+// A new region must beat the current one by this factor to draw the gaze
+const GAZE_SWITCH_RATIO = 1.25;
+
+/**
+ * Local RMS contrast of a luminance grid over 3x3 neighbourhoods
+ * Border cells are left at 0 so fixation stays off the frame edge
+ */
+function getContrastMap(luminance, columns, rows) {
+  const contrast = new Float32Array(columns * rows);
+
+  for (let y = 1; y < rows - 1; y++) {
+    for (let x = 1; x < columns - 1; x++) {
+      let sum = 0;
+      let sumSq = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const value = luminance[(y + dy) * columns + x + dx];
+          sum += value;
+          sumSq += value * value;
+        }
+      }
+      const mean = sum / 9;
+      const variance = Math.max(0, sumSq / 9 - mean * mean);
+      contrast[y * columns + x] = Math.sqrt(variance) / (mean + 0.05);
+    }
+  }
+
+  return contrast;
+}
+
+/**
+ * Most salient point of an RGBA image, with the salience at current
+ * Returns {x, y, contrast, currentContrast}, positions as fractions
+ */
+function findFixationTarget(image, current = DEFAULT_FIXATION) {
+  const {width, height, data} = image;
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    const idx = i * 4;
+    luminance[i] =
+      (0.2126 * data[idx] + 0.7152 * data[idx + 1] + 0.0722 * data[idx + 2]) /
+      255;
+  }
+
+  const contrast = getContrastMap(luminance, width, height);
+  let best = 0;
+  for (let i = 1; i < contrast.length; i++) {
+    if (contrast[i] > contrast[best]) best = i;
+  }
+
+  const currentX = Math.min(width - 1, Math.floor(current.x * width));
+  const currentY = Math.min(height - 1, Math.floor(current.y * height));
+
+  return {
+    x: ((best % width) + 0.5) / width,
+    y: (Math.floor(best / width) + 0.5) / height,
+    contrast: contrast[best],
+    currentContrast: contrast[currentY * width + currentX],
+  };
+}
+
+/**
+ * Grid size for analysing a frame of width x height
+ */
+function getGazeGridSize(width, height) {
+  const columns = Math.min(width, GAZE_GRID_WIDTH);
+  return {
+    width: columns,
+    height: Math.max(1, Math.round((height / width) * columns)),
+  };
+}
+
+function createGazeState(fixation = DEFAULT_FIXATION) {
+  return {
+    x: fixation.x,
+    y: fixation.y,
+    targetX: fixation.x,
+    targetY: fixation.y,
+    dwellUntilMs: 0,
+    lastMs: null,
+  };
+}
+
+/**
+ * Advance the gaze to nowMs given the latest findFixationTarget result
+ * Returns the smoothed fixation {x, y}
+ */
+function updateGaze(state, target, nowMs) {
+  if (
+    target &&
+    nowMs >= state.dwellUntilMs &&
+    target.contrast > target.currentContrast * GAZE_SWITCH_RATIO
+  ) {
+    state.targetX = target.x;
+    state.targetY = target.y;
+    state.dwellUntilMs = nowMs + GAZE_DWELL_MS;
+  }
+
+  const dt = state.lastMs === null ? 0 : Math.max(0, nowMs - state.lastMs);
+  const step = 1 - Math.exp(-dt / GAZE_SMOOTHING_MS);
+  state.x += (state.targetX - state.x) * step;
+  state.y += (state.targetY - state.y) * step;
+  state.lastMs = nowMs;
+
+  return {x: state.x, y: state.y};
+}
+
+export {findFixationTarget, getGazeGridSize, createGazeState, updateGaze};
@@ -0,0 +1,256 @@
+/**
+ * Deep Links
+ * Encodes the simulator state in the URL hash and reads it back, e.g.
+ *   #age=2m&off=field&view=split
+ * Fields left at their defaults are omitted, and anything invalid in a hash
+ * falls back to the default instead of failing the whole link
+ */
+
+import {
+  AGE_PRESETS,
+  VISION_CONSTANTS,
+  DEFAULT_FIXATION,
+  WEEKS_PER_MONTH,
+} from "./vision.js";
+import {PIPELINE_STAGES} from "./pipeline.js";
+import {PROFILE_FIELDS, getProfileField} from "./profiles.js";
+import {CONDITION_IDS} from "./conditions.js";
+import {BINOCULAR_MODES} from "./binocular.js";
+
+const VIEW_MODES = ["single", "split", "grid"];
+
+// Prefix of parameter override keys, e.g. p.coneSensitivity.S=0.3
+const OVERRIDE_PREFIX = "p.";
+
+// Prefix of eye condition severities, e.g. c.cataract=0.5
+const CONDITION_PREFIX = "c.";
+
+// Prefix of stage parameters, e.g. s.glare.strength=0.8
+const STAGE_PARAM_PREFIX = "s.";
+
+const MIN_SPLIT = 0.05;
+const MAX_SPLIT = 0.95;
+
+const DEFAULT_LINK_STATE = {
+  age: Math.round(WEEKS_PER_MONTH),
+  mirror: null, // null: the source's own default
+  disabledStages: [],
+  stageParams: {}, // {stageId: {key: value}}, non-default values only
+  view: "single",
+  split: 0.5,
+  distanceCm: 100 / VISION_CONSTANTS.RESTING_FOCUS_D,
+  fixation: DEFAULT_FIXATION,
+  autoGaze: false,
+  peripheralDarkening: false,
+  binocular: null, // null: one eye; "fused" or "anaglyph"
+  sideBySide: false,
+  conditions: {},
+  profileName: null,
+  overrides: {},
+};
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Age from a hash value: weeks ("9"), months ("2m") or a profile ("adult")
+ * Numeric ages are rounded to whole weeks like the age slider
+ */
+function parseAge(value) {
+  if (
+    Number.isNaN(Number(value)) &&
+    Object.prototype.hasOwnProperty.call(AGE_PRESETS, value)
+  ) {
+    return value;
+  }
+  const months = /^(\d+(?:\.\d+)?)m$/.exec(value);
+  const weeks = months ? Number(months[1]) * WEEKS_PER_MONTH : Number(value);
+  return value !== "" && Number.isFinite(weeks) && weeks >= 0
+    ? Math.round(weeks)
+    : null;
+}
+
+/**
+ * Preset fields where profile differs from basePreset, keyed like
+ * PROFILE_FIELDS
+ */
+function getProfileOverrides(profile, basePreset) {
+  const overrides = {};
+  PROFILE_FIELDS.forEach(({key}) => {
+    const value = getProfileField(profile, key);
+    if (Math.abs(value - getProfileField(basePreset, key)) > 1e-6) {
+      overrides[key] = value;
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Hash text (without "#") for a state shaped like DEFAULT_LINK_STATE
+ */
+function encodeLinkState(state) {
+  const params = new URLSearchParams();
+  const defaults = DEFAULT_LINK_STATE;
+
+  if (state.age !== defaults.age) {
+    params.set(
+      "age",
+      typeof state.age === "number" ? formatNumber(state.age) : state.age
+    );
+  }
+  if (state.mirror !== null) params.set("mirror", state.mirror ? "1" : "0");
+  if (state.disabledStages.length > 0) {
+    params.set("off", state.disabledStages.join(","));
+  }
+  Object.entries(state.stageParams).forEach(([stageId, values]) => {
+    Object.entries(values).forEach(([key, value]) => {
+      params.set(`${STAGE_PARAM_PREFIX}${stageId}.${key}`, formatNumber(value));
+    });
+  });
+  if (state.view !== defaults.view) params.set("view", state.view);
+  if (state.view === "split" && state.split !== defaults.split) {
+    params.set("split", formatNumber(state.split));
+  }
+  if (Math.abs(state.distanceCm - defaults.distanceCm) > 0.05) {
+    params.set("distance", state.distanceCm.toFixed(1));
+  }
+  if (state.autoGaze) {
+    params.set("gaze", "auto");
+  } else if (
+    state.fixation.x !== defaults.fixation.x ||
+    state.fixation.y !== defaults.fixation.y
+  ) {
+    params.set(
+      "fix",
+      `${formatNumber(state.fixation.x)},${formatNumber(state.fixation.y)}`
+    );
+  }
+  if (state.peripheralDarkening) params.set("dark", "1");
+  if (state.binocular) params.set("eyes", state.binocular);
+  if (state.sideBySide) params.set("sbs", "1");
+  Object.entries(state.conditions).forEach(([id, severity]) => {
+    params.set(`${CONDITION_PREFIX}${id}`, formatNumber(severity));
+  });
+  if (state.profileName) params.set("name", state.profileName);
+  Object.entries(state.overrides).forEach(([key, value]) => {
+    params.set(`${OVERRIDE_PREFIX}${key}`, formatNumber(value));
+  });
+
+  return params.toString();
+}
+
+/**
+ * Full state from a location hash, with defaults for anything missing or
+ * invalid
+ */
+function decodeLinkState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const state = {
+    ...DEFAULT_LINK_STATE,
+    disabledStages: [],
+    stageParams: {},
+    conditions: {},
+    overrides: {},
+  };
+  const ignore = (key, value) => {
+    console.warn(`Ignoring invalid link parameter ${key}=${value}`);
+  };
+
+  params.forEach((value, key) => {
+    if (key === "age") {
+      const age = parseAge(value);
+      if (age === null) ignore(key, value);
+      else state.age = age;
+    } else if (key === "mirror") {
+      if (value === "1" || value === "0") state.mirror = value === "1";
+      else ignore(key, value);
+    } else if (key === "off") {
+      const stageIds = PIPELINE_STAGES.map((stage) => stage.id);
+      value
+        .split(",")
+        .filter(Boolean)
+        .forEach((id) => {
+          if (stageIds.includes(id)) state.disabledStages.push(id);
+          else ignore(key, id);
+        });
+    } else if (key === "view") {
+      if (VIEW_MODES.includes(value)) state.view = value;
+      else ignore(key, value);
+    } else if (key === "split") {
+      const split = Number(value);
+      if (split >= MIN_SPLIT && split <= MAX_SPLIT) state.split = split;
+      else ignore(key, value);
+    } else if (key === "distance") {
+      const distanceCm = Number(value);
+      if (distanceCm > 0) state.distanceCm = distanceCm;
+      else ignore(key, value);
+    } else if (key === "fix") {
+      const [x, y] = value.split(",").map((part) => Number(part));
+      if (x >= 0 && x <= 1 && y >= 0 && y <= 1) state.fixation = {x, y};
+      else ignore(key, value);
+    } else if (key === "gaze") {
+      if (value === "auto") state.autoGaze = true;
+      else ignore(key, value);
+    } else if (key === "dark") {
+      if (value === "1" || value === "0") {
+        state.peripheralDarkening = value === "1";
+      } else {
+        ignore(key, value);
+      }
+    } else if (key === "eyes") {
+      if (BINOCULAR_MODES.includes(value)) state.binocular = value;
+      else ignore(key, value);
+    } else if (key === "sbs") {
+      if (value === "1" || value === "0") state.sideBySide = value === "1";
+      else ignore(key, value);
+    } else if (key === "name") {
+      state.profileName = value.trim() || null;
+    } else if (key.startsWith(CONDITION_PREFIX)) {
+      const id = key.slice(CONDITION_PREFIX.length);
+      const severity = value === "" ? NaN : Number(value);
+      if (CONDITION_IDS.includes(id) && severity > 0 && severity <= 1) {
+        state.conditions[id] = severity;
+      } else {
+        ignore(key, value);
+      }
+    } else if (key.startsWith(STAGE_PARAM_PREFIX)) {
+      const [stageId, paramKey] = key
+        .slice(STAGE_PARAM_PREFIX.length)
+        .split(".");
+      const stage = PIPELINE_STAGES.find(({id}) => id === stageId);
+      const param = stage && stage.params.find(({key}) => key === paramKey);
+      const number = value === "" ? NaN : Number(value);
+      if (param && number >= param.min && number <= param.max) {
+        state.stageParams[stageId] = {
+          ...state.stageParams[stageId],
+          [paramKey]: number,
+        };
+      } else {
+        ignore(key, value);
+      }
+    } else if (key.startsWith(OVERRIDE_PREFIX)) {
+      const fieldKey = key.slice(OVERRIDE_PREFIX.length);
+      const field = PROFILE_FIELDS.find(({key}) => key === fieldKey);
+      const number = value === "" ? NaN : Number(value);
+      if (field && number >= field.min && number <= field.max) {
+        state.overrides[fieldKey] = number;
+      } else {
+        ignore(key, value);
+      }
+    } else {
+      ignore(key, value);
+    }
+  });
+
+  return state;
+}
+
+export {
+  DEFAULT_LINK_STATE,
+  MIN_SPLIT,
+  MAX_SPLIT,
+  getProfileOverrides,
+  encodeLinkState,
+  decodeLinkState,
+};
@@ -0,0 +1,499 @@
+/**
+ * Vision Pipeline Module
+ * Stage registry and frame handling shared by the main thread, the worker
+ * and the command-line renderer. Each view decodes its input into one
+ * linear-light frame, every stage works on that frame, and it is encoded
+ * back to 8-bit sRGB once at the end.
+ */
+
+import {
+  DEFAULT_RANDOM_SEED,
+  createFrame,
+  decodeFrame,
+  encodeFrame,
+  applyDefocus,
+  applySpatialFrequencyFilter,
+  applyLMSColorProcessing,
+  applyInfantColorVision,
+  applyOpticalEffects,
+  applyVisualField,
+  createNoiseState,
+  resetNoiseState,
+  getNoiseRandom,
+  applyNeuralEffects,
+  createTemporalState,
+  resetTemporalState,
+  applyTemporalIntegration,
+} from "./vision.js";
+import {applyConditionEffects} from "./conditions.js";
+import {
+  EYES,
+  splitSideBySide,
+  applyEyeParallax,
+  combineEyes,
+} from "./binocular.js";
+
+/**
+ * Stage registry, in processing order
+ * A stage is {id, label, description, order, presetFields, params, apply,
+ * createState, resetState}:
+ * - order places it in the pipeline; the built-in stages use 100, 200, ...
+ *   so added stages can go between them
+ * - presetFields lists the preset fields it reads, dotted for nested ones
+ *   like PROFILE_FIELDS keys
+ * - params are its own numeric settings, [{key, label, min, max, step,
+ *   defaultValue}]; values come from settings.stageParams[id]
+ * - apply(frame, preset, settings, state, params) works in place on the
+ *   linear-light frame every stage shares (see vision.js), and returns it
+ * - createState() and resetState(state), both optional, hold what a stage
+ *   carries from frame to frame; every view gets its own state
+ *
+ * Stages outside this file register from their own module, listed in
+ * stage-plugins.js so the app, the worker and the CLI all load them.
+ */
+const PIPELINE_STAGES = [];
+
+const STAGE_ID_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+/**
+ * Check a stage definition and add it to the pipeline at its order
+ * Throws an Error listing every problem found
+ */
+function registerStage(definition) {
+  const stage = {
+    description: "",
+    presetFields: [],
+    params: [],
+    createState: null,
+    resetState: null,
+    ...definition,
+  };
+  const errors = [];
+
+  if (typeof stage.id !== "string" || !STAGE_ID_PATTERN.test(stage.id)) {
+    errors.push(`id must be a camelCase name, got ${JSON.stringify(stage.id)}`);
+  } else if (PIPELINE_STAGES.some((other) => other.id === stage.id)) {
+    errors.push(`id "${stage.id}" is already registered`);
+  }
+  if (typeof stage.label !== "string" || !stage.label.trim()) {
+    errors.push("label must be a non-empty string");
+  }
+  if (typeof stage.order !== "number" || !Number.isFinite(stage.order)) {
+    errors.push("order must be a number");
+  }
+  if (typeof stage.apply !== "function") {
+    errors.push("apply must be a function");
+  }
+  ["createState", "resetState"].forEach((key) => {
+    if (stage[key] !== null && typeof stage[key] !== "function") {
+      errors.push(`${key} must be a function`);
+    }
+  });
+  if (
+    !Array.isArray(stage.presetFields) ||
+    stage.presetFields.some((field) => typeof field !== "string")
+  ) {
+    errors.push("presetFields must be a list of field names");
+  }
+  if (!Array.isArray(stage.params)) {
+    errors.push("params must be a list");
+  } else {
+    stage.params.forEach((param, index) => {
+      const {key, min, max, defaultValue} = param || {};
+      const name = typeof key === "string" && key ? key : `params[${index}]`;
+      if (typeof key !== "string" || !STAGE_ID_PATTERN.test(key)) {
+        errors.push(`${name}: key must be a camelCase name`);
+      }
+      if (!(Number.isFinite(min) && Number.isFinite(max) && min < max)) {
+        errors.push(`${name}: min and max must be numbers, min below max`);
+      } else if (!(defaultValue >= min && defaultValue <= max)) {
+        errors.push(`${name}: defaultValue must be between min and max`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid stage ${JSON.stringify(stage.id)}:\n${errors.join("\n")}`
+    );
+  }
+
+  // Stable sort keeps registration order among equal orders
+  PIPELINE_STAGES.push(stage);
+  PIPELINE_STAGES.sort((a, b) => a.order - b.order);
+  return stage;
+}
+
+/**
+ * A stage's parameter values from settings.stageParams, with defaults for
+ * missing or out-of-range values
+ */
+function getStageParams(stage, settings = {}) {
+  const values = (settings.stageParams || {})[stage.id] || {};
+  return Object.fromEntries(
+    stage.params.map(({key, min, max, defaultValue}) => {
+      const value = values[key];
+      return [
+        key,
+        typeof value === "number" && value >= min && value <= max
+          ? value
+          : defaultValue,
+      ];
+    })
+  );
+}
+
+[
+  {
+    id: "condition",
+    label: "Eye conditions",
+    description: "Cataract veil, amblyopic distortion and nystagmus motion",
+    order: 100,
+    presetFields: ["conditions"],
+    apply: (frame, preset, settings) =>
+      applyConditionEffects(frame, preset, settings),
+  },
+  {
+    id: "focus",
+    label: "Focus",
+    description: "Defocus outside the baby's focal range",
+    order: 200,
+    presetFields: ["accommodationRange", "refractiveErrorD", "pupilDiameterMm"],
+    apply: (frame, preset, settings) => applyDefocus(frame, preset, settings),
+  },
+  {
+    id: "frequency",
+    label: "Spatial filtering",
+    description: "Contrast sensitivity thresholds per spatial frequency",
+    order: 300,
+    presetFields: [
+      "spatialCutoffCPD",
+      "peakSensitivityCPD",
+      "contrastSensitivityPeak",
+      "contrastSlope",
+    ],
+    apply: (frame, preset, settings) =>
+      applySpatialFrequencyFilter(frame, preset, settings),
+  },
+  {
+    id: "color",
+    label: "Color processing",
+    description: "LMS cone sensitivities",
+    order: 400,
+    presetFields: ["coneSensitivity", "coneAdaptation"],
+    apply: (frame, preset) => applyLMSColorProcessing(frame, preset),
+  },
+  {
+    id: "infantColor",
+    label: "Infant color vision",
+    description: "Black, white and red dominance before the cones mature",
+    order: 450,
+    presetFields: ["coneSensitivity", "achromaticWeight", "blueCapWeight"],
+    apply: (frame, preset) => applyInfantColorVision(frame, preset),
+  },
+  {
+    id: "optical",
+    label: "Optical effects",
+    description: "Light scatter and chromatic aberration",
+    order: 500,
+    presetFields: ["scatteringFactor", "chromaticAberrationPx"],
+    apply: (frame, preset, settings) =>
+      applyOpticalEffects(frame, preset, settings),
+  },
+  {
+    id: "field",
+    label: "Peripheral vision",
+    description: "Resolution falls off away from the fixation point",
+    order: 600,
+    presetFields: [
+      "spatialCutoffCPD",
+      "centralFieldRadiusDeg",
+      "peripheralFalloffDeg",
+      "peripheralSuppression",
+    ],
+    apply: (frame, preset, settings) =>
+      applyVisualField(frame, preset, settings),
+  },
+  {
+    id: "neural",
+    label: "Neural effects",
+    description: "Photoreceptor noise and lateral inhibition",
+    order: 700,
+    presetFields: ["photoreceptorNoise", "lateralInhibition"],
+    createState: createNoiseState,
+    resetState: resetNoiseState,
+    apply: (frame, preset, settings, state) =>
+      applyNeuralEffects(
+        frame,
+        preset,
+        getNoiseRandom(state, settings.randomSeed)
+      ),
+  },
+  {
+    id: "temporal",
+    label: "Temporal vision",
+    description: "Motion smear and flicker fusion",
+    order: 800,
+    presetFields: ["temporalIntegrationMs", "criticalFlickerHz"],
+    createState: createTemporalState,
+    resetState: resetTemporalState,
+    apply: (frame, preset, settings, state) =>
+      applyTemporalIntegration(frame, preset, state, settings.frameTimeMs),
+  },
+].forEach(registerStage);
+
+/**
+ * State carried from frame to frame, one per view, keyed by stage id
+ * Reset it when the view is resized or its source changes
+ */
+function createPipelineState() {
+  return Object.fromEntries(
+    PIPELINE_STAGES.filter((stage) => stage.createState).map((stage) => [
+      stage.id,
+      stage.createState(),
+    ])
+  );
+}
+
+function resetPipelineState(state) {
+  PIPELINE_STAGES.forEach((stage) => {
+    if (stage.resetState && state[stage.id]) stage.resetState(state[stage.id]);
+  });
+}
+
+/**
+ * Run one stage on a frame with its state and parameters
+ */
+function applyStage(stage, frame, preset, settings, state) {
+  if (stage.createState && !state[stage.id]) {
+    state[stage.id] = stage.createState();
+  }
+  return stage.apply(
+    frame,
+    preset,
+    settings,
+    state[stage.id],
+    getStageParams(stage, settings)
+  );
+}
+
+/**
+ * Run the enabled stages in order on a linear-light frame, in place
+ * Without a state the frame is treated as the first of a new view
+ *
+ * settings: {enabledStages, stageParams, hfovDeg, objectDistanceCm, depthMap,
+ *   fixation, peripheralDarkening, frameTimeMs, randomSeed, binocular,
+ *   sideBySide}
+ * frameTimeMs is the frame's time on the caller's clock and randomSeed seeds
+ * the noise of a new state (DEFAULT_RANDOM_SEED if unset); the pipeline reads
+ * no clock or random source of its own, so the same frames, times and seed
+ * always give the same output
+ * binocular (null, "fused" or "anaglyph") renders each eye separately and
+ * combines them (see binocular.js); sideBySide means the input holds the
+ * left and right eye views next to each other rather than one central view
+ */
+function runFramePipeline(
+  frame,
+  preset,
+  settings,
+  state = createPipelineState()
+) {
+  for (const stage of PIPELINE_STAGES) {
+    if (!settings.enabledStages[stage.id]) continue;
+    applyStage(stage, frame, preset, settings, state);
+  }
+  return frame;
+}
+
+/**
+ * Settings for one eye of a binocular view: each eye draws its own noise
+ */
+function getEyeSettings(settings, index) {
+  if (index === 0) return settings;
+  return {
+    ...settings,
+    randomSeed: ((settings.randomSeed ?? DEFAULT_RANDOM_SEED) + index) >>> 0,
+  };
+}
+
+/**
+ * Buffers and state for rendering one captured frame as several views
+ * (the single view, or the panes of a comparison), keyed by view id
+ */
+function createViewCache(createCanvas) {
+  return {createCanvas, views: new Map()};
+}
+
+function resetViewCache(cache) {
+  cache.views.forEach((entry) =>
+    entry.eyes.forEach((eye) => resetPipelineState(eye.state))
+  );
+}
+
+/**
+ * Drop the views whose ids are not in ids
+ */
+function pruneViewCache(cache, ids) {
+  for (const id of [...cache.views.keys()]) {
+    if (!ids.includes(id)) cache.views.delete(id);
+  }
+}
+
+/**
+ * A view's eyes (one, or left and right when binocular), each with an input
+ * canvas, its frame and pipeline state; the first eye's canvas also takes
+ * the final image
+ */
+function createViewEntry(cache, view, binocular) {
+  const {width, height} = view;
+  const createEye = () => {
+    const canvas = cache.createCanvas(width, height);
+    return {
+      input: {
+        canvas,
+        ctx: canvas.getContext("2d", {alpha: false, willReadFrequently: true}),
+      },
+      frame: createFrame(width, height),
+      state: createPipelineState(),
+    };
+  };
+  const eyes = Array.from({length: binocular ? EYES.length : 1}, createEye);
+  return {
+    width,
+    height,
+    binocular,
+    eyes,
+    output: eyes[0].input.ctx.createImageData(width, height),
+  };
+}
+
+/**
+ * Scale the capture into an input buffer; a side-by-side capture holds the
+ * left (index 0) and right eye views next to each other
+ */
+function drawEyeInput(ctx, capture, index, view, settings) {
+  if (!settings.sideBySide) {
+    ctx.drawImage(capture, 0, 0, view.width, view.height);
+    return;
+  }
+  const eyeWidth = capture.width / 2;
+  ctx.drawImage(
+    capture,
+    index * eyeWidth,
+    0,
+    eyeWidth,
+    capture.height,
+    0,
+    0,
+    view.width,
+    view.height
+  );
+}
+
+/**
+ * Scale the shared capture into a view's input buffer and run the pipeline
+ * view: {id, preset, width, height}
+ * The capture is read back once per eye and the result written once, so the
+ * stages never go through a canvas.
+ * Returns the buffer {canvas, ctx} holding the view's final image
+ */
+function renderView(cache, capture, view, settings) {
+  const binocular = Boolean(settings.binocular);
+  let entry = cache.views.get(view.id);
+  if (
+    !entry ||
+    entry.width !== view.width ||
+    entry.height !== view.height ||
+    entry.binocular !== binocular
+  ) {
+    entry = createViewEntry(cache, view, binocular);
+    cache.views.set(view.id, entry);
+  }
+
+  const frames = entry.eyes.map(({input, frame, state}, index) => {
+    drawEyeInput(input.ctx, capture, index, view, settings);
+    decodeFrame(input.ctx.getImageData(0, 0, view.width, view.height), frame);
+    if (binocular && !settings.sideBySide) {
+      applyEyeParallax(frame, EYES[index], view.preset, settings);
+    }
+    return runFramePipeline(
+      frame,
+      view.preset,
+      getEyeSettings(settings, index),
+      state
+    );
+  });
+  const result = binocular
+    ? combineEyes(frames[0], frames[1], view.preset, settings)
+    : frames[0];
+
+  const buffer = entry.eyes[0].input;
+  buffer.ctx.putImageData(encodeFrame(result, entry.output), 0, 0);
+  return buffer;
+}
+
+/**
+ * Run the enabled stages in order on an 8-bit image buffer, in place,
+ * decoding it into a frame first and encoding the result back
+ * Without a state the image is treated as the first frame of a new view
+ */
+function runImagePipeline(
+  image,
+  preset,
+  settings,
+  state = createPipelineState()
+) {
+  const frame = runFramePipeline(decodeFrame(image), preset, settings, state);
+  return encodeFrame(frame, image);
+}
+
+/**
+ * Run the pipeline once per eye and combine the eyes (settings.binocular)
+ * Returns a new image buffer, half as wide for a side-by-side input
+ * states holds each eye's pipeline state, like runImagePipeline's state
+ */
+function runBinocularImagePipeline(
+  image,
+  preset,
+  settings,
+  states = Object.fromEntries(EYES.map((eye) => [eye, createPipelineState()]))
+) {
+  const frame = decodeFrame(image);
+  const eyes = settings.sideBySide
+    ? splitSideBySide(frame)
+    : Object.fromEntries(
+        EYES.map((eye) => [
+          eye,
+          applyEyeParallax(
+            {...frame, data: Float32Array.from(frame.data)},
+            eye,
+            preset,
+            settings
+          ),
+        ])
+      );
+  EYES.forEach((eye, index) =>
+    runFramePipeline(
+      eyes[eye],
+      preset,
+      getEyeSettings(settings, index),
+      states[eye]
+    )
+  );
+  return encodeFrame(combineEyes(eyes.left, eyes.right, preset, settings));
+}
+
+export {
+  PIPELINE_STAGES,
+  registerStage,
+  getStageParams,
+  createPipelineState,
+  resetPipelineState,
+  runFramePipeline,
+  createViewCache,
+  resetViewCache,
+  pruneViewCache,
+  renderView,
+  runImagePipeline,
+  runBinocularImagePipeline,
+};
@@ -0,0 +1,418 @@
+/**
+ * Custom Vision Profiles
+ * Schema for every preset field, validation of imported profiles, and
+ * storage of user-made profiles in localStorage
+ */
+
+const STORAGE_KEY = "sim-view:custom-profiles";
+
+const PROFILE_FORMAT = "sim-view-profile";
+const PROFILE_VERSION = 1;
+
+/**
+ * Every numeric preset field with its allowed range
+ * Nested fields use dotted keys, e.g. "coneSensitivity.S"; fields added
+ * after profiles were first saved carry a defaultValue for older files
+ */
+const PROFILE_FIELDS = [
+  // Spatial vision
+  {
+    key: "snellenDenominator",
+    label: "Acuity (20/x)",
+    group: "Spatial",
+    min: 20,
+    max: 1000,
+    step: 5,
+  },
+  {
+    key: "spatialCutoffCPD",
+    label: "Spatial cutoff (cpd)",
+    group: "Spatial",
+    min: 0.5,
+    max: 60,
+    step: 0.1,
+  },
+  {
+    key: "peakSensitivityCPD",
+    label: "CSF peak frequency (cpd)",
+    group: "Spatial",
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+  },
+  {
+    key: "contrastSensitivityPeak",
+    label: "Peak contrast sensitivity",
+    group: "Spatial",
+    min: 1,
+    max: 500,
+    step: 1,
+  },
+  {
+    key: "contrastSlope",
+    label: "Contrast/saturation slope",
+    group: "Spatial",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  // Temporal vision
+  {
+    key: "temporalIntegrationMs",
+    label: "Temporal integration (ms)",
+    group: "Temporal",
+    min: 0,
+    max: 1000,
+    step: 5,
+  },
+  {
+    key: "criticalFlickerHz",
+    label: "Flicker fusion (Hz)",
+    group: "Temporal",
+    min: 10,
+    max: 60,
+    step: 1,
+  },
+  // Color vision
+  {
+    key: "coneSensitivity.L",
+    label: "L-cone sensitivity",
+    group: "Color",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "coneSensitivity.M",
+    label: "M-cone sensitivity",
+    group: "Color",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "coneSensitivity.S",
+    label: "S-cone sensitivity",
+    group: "Color",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "coneAdaptation",
+    label: "Cone adaptation",
+    group: "Color",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "achromaticWeight",
+    label: "Black/white/red look",
+    group: "Color",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "blueCapWeight",
+    label: "Blue cap",
+    group: "Color",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  // Optics
+  {
+    key: "pupilDiameterMm",
+    label: "Pupil diameter (mm)",
+    group: "Optics",
+    min: 1,
+    max: 8,
+    step: 0.1,
+  },
+  {
+    key: "scatteringFactor",
+    label: "Optical scatter",
+    group: "Optics",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "accommodationRange",
+    label: "Accommodation range",
+    group: "Optics",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "refractiveErrorD",
+    label: "Refractive error (D)",
+    group: "Optics",
+    min: -10,
+    max: 10,
+    step: 0.25,
+    defaultValue: 0,
+  },
+  {
+    key: "chromaticAberrationPx",
+    label: "Chromatic aberration (px)",
+    group: "Optics",
+    min: 0,
+    max: 5,
+    step: 0.1,
+  },
+  // Visual field and neural factors
+  {
+    key: "centralFieldRadiusDeg",
+    label: "Central field radius (°)",
+    group: "Field",
+    min: 1,
+    max: 90,
+    step: 1,
+  },
+  {
+    key: "peripheralFalloffDeg",
+    label: "Peripheral acuity falloff (°)",
+    group: "Field",
+    min: 1,
+    max: 60,
+    step: 0.5,
+  },
+  {
+    key: "peripheralSuppression",
+    label: "Peripheral suppression",
+    group: "Field",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "lateralInhibition",
+    label: "Lateral inhibition",
+    group: "Neural",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: "photoreceptorNoise",
+    label: "Photoreceptor noise",
+    group: "Neural",
+    min: 0,
+    max: 0.5,
+    step: 0.01,
+  },
+  // Binocular vision
+  {
+    key: "interpupillaryDistanceCm",
+    label: "Eye separation (cm)",
+    group: "Binocular",
+    min: 3,
+    max: 8,
+    step: 0.1,
+    defaultValue: 6.3,
+  },
+  {
+    key: "vergenceErrorDeg",
+    label: "Vergence error (°)",
+    group: "Binocular",
+    min: 0,
+    max: 20,
+    step: 0.1,
+    defaultValue: 0,
+  },
+  {
+    key: "interocularSuppression",
+    label: "Weaker eye suppression",
+    group: "Binocular",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    defaultValue: 0,
+  },
+  {
+    key: "stereoFusion",
+    label: "Stereo fusion",
+    group: "Binocular",
+    min: 0,
+    max: 1,
+    step: 0.01,
+    defaultValue: 1,
+  },
+];
+
+const MAX_LABEL_LENGTH = 60;
+
+function getProfileField(profile, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, part) => (value == null ? undefined : value[part]),
+      profile
+    );
+}
+
+function setProfileField(profile, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const target = parts.reduce((object, part) => {
+    if (typeof object[part] !== "object" || object[part] === null) {
+      object[part] = {};
+    }
+    return object[part];
+  }, profile);
+  target[last] = value;
+}
+
+/**
+ * Check a parsed profile against PROFILE_FIELDS
+ * Returns a clean copy holding only known fields; throws an Error listing
+ * every problem found
+ */
+function validateProfile(data) {
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    throw new Error("Invalid profile: expected a JSON object");
+  }
+
+  const errors = [];
+  const profile = {};
+
+  const label = typeof data.label === "string" ? data.label.trim() : "";
+  if (!label) {
+    errors.push('Missing field "label" (the profile name)');
+  } else if (label.length > MAX_LABEL_LENGTH) {
+    errors.push(`"label" must be at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  profile.label = label;
+
+  if (data.description !== undefined && typeof data.description !== "string") {
+    errors.push('"description" must be text');
+  }
+  profile.description =
+    typeof data.description === "string" && data.description.trim()
+      ? data.description.trim()
+      : "Custom vision profile.";
+
+  PROFILE_FIELDS.forEach(({key, min, max, defaultValue}) => {
+    const stored = getProfileField(data, key);
+    const value = stored === undefined ? defaultValue : stored;
+    if (value === undefined) {
+      errors.push(`Missing field "${key}"`);
+    } else if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`"${key}" must be a number, got ${JSON.stringify(value)}`);
+    } else if (value < min || value > max) {
+      errors.push(`"${key}" must be between ${min} and ${max}, got ${value}`);
+    } else {
+      setProfileField(profile, key, value);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid profile:\n${errors.join("\n")}`);
+  }
+  profile.ageWeeks = null;
+  return profile;
+}
+
+/**
+ * Read a profile from exported JSON text
+ */
+function parseProfileJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid profile: not valid JSON (${error.message})`);
+  }
+
+  if (data && data.format === PROFILE_FORMAT) {
+    if (data.version !== PROFILE_VERSION) {
+      throw new Error(
+        `Invalid profile: unsupported version ${data.version}, expected ${PROFILE_VERSION}`
+      );
+    }
+    data = data.profile;
+  }
+  return validateProfile(data);
+}
+
+/**
+ * JSON text for a profile, with only the schema fields
+ */
+function serializeProfile(profile) {
+  const clean = {label: profile.label, description: profile.description};
+  PROFILE_FIELDS.forEach(({key}) => {
+    setProfileField(clean, key, getProfileField(profile, key));
+  });
+  return JSON.stringify(
+    {format: PROFILE_FORMAT, version: PROFILE_VERSION, profile: clean},
+    null,
+    2
+  );
+}
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error("Unable to read custom profiles:", error);
+    return {};
+  }
+}
+
+function writeStore(store) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.error("Unable to save custom profiles:", error);
+  }
+}
+
+/**
+ * Saved profiles sorted by name; entries that no longer validate are skipped
+ */
+function loadCustomProfiles() {
+  const store = readStore();
+  return Object.keys(store)
+    .sort((a, b) => a.localeCompare(b))
+    .flatMap((label) => {
+      try {
+        return [validateProfile(store[label])];
+      } catch (error) {
+        console.error(`Skipping saved profile "${label}":`, error.message);
+        return [];
+      }
+    });
+}
+
+/**
+ * Validate and store a profile under its label, replacing any with that name
+ */
+function saveCustomProfile(profile) {
+  const clean = validateProfile(profile);
+  const store = readStore();
+  store[clean.label] = JSON.parse(serializeProfile(clean)).profile;
+  writeStore(store);
+  return clean;
+}
+
+function deleteCustomProfile(label) {
+  const store = readStore();
+  delete store[label];
+  writeStore(store);
+}
+
+export {
+  PROFILE_FIELDS,
+  getProfileField,
+  setProfileField,
+  validateProfile,
+  parseProfileJson,
+  serializeProfile,
+  loadCustomProfiles,
+  saveCustomProfile,
+  deleteCustomProfile,
+};
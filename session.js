@@ -0,0 +1,309 @@
+/**
+ * Session Module
+ * Records the captured source frames with their times, the preset and the
+ * pipeline settings they were rendered with, and replays them through the
+ * pipeline. A replay starts from fresh pipeline state with the recorded
+ * noise seed and frame times, so it gives the same frames every time, with
+ * the recorded preset or any other.
+ *
+ * Sessions are saved as gzip files: a JSON header followed by the frames'
+ * raw RGBA bytes (see encodeSession).
+ */
+
+import {DEFAULT_RANDOM_SEED, createImageBuffer} from "./vision.js";
+import {
+  createPipelineState,
+  runImagePipeline,
+  runBinocularImagePipeline,
+} from "./pipeline.js";
+import {EYES, splitSideBySide} from "./binocular.js";
+
+const SESSION_FORMAT = "sim-view-session";
+const SESSION_VERSION = 1;
+const SESSION_EXTENSION = "simsession";
+
+// Recording stops once the raw frames reach this size
+const MAX_SESSION_BYTES = 256 * 1024 * 1024;
+
+// Byte arrays a session may hold, by the name stored in the header
+const BYTE_ARRAY_TYPES = {Uint8Array, Uint8ClampedArray};
+
+/**
+ * An empty session to record into
+ * frames: [{timeMs, image, changes, reset}], where changes holds the preset
+ * and settings that differ from the previous frame and reset marks a frame
+ * the pipeline state was restarted before
+ */
+function createSession({
+  randomSeed = DEFAULT_RANDOM_SEED,
+  maxBytes = MAX_SESSION_BYTES,
+} = {}) {
+  return {
+    randomSeed,
+    maxBytes,
+    bytes: 0,
+    frames: [],
+    current: {}, // preset and settings as of the last frame
+    resetPending: false,
+  };
+}
+
+/**
+ * Values are compared and copied as JSON, except byte arrays and objects
+ * holding them (depth maps), which callers replace rather than change
+ */
+function holdsBytes(value) {
+  if (ArrayBuffer.isView(value)) return true;
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.values(value).some((item) => ArrayBuffer.isView(item))
+  );
+}
+
+function isSameValue(a, b) {
+  if (holdsBytes(a) || holdsBytes(b)) return a === b;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function copyValue(value) {
+  if (value === undefined || holdsBytes(value)) return value;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Add a captured 8-bit frame and what it was rendered with
+ * settings are runFramePipeline's; frameTimeMs becomes the frame's time and
+ * randomSeed is the session's own
+ * Returns false, recording nothing, once the session is full
+ */
+function recordSessionFrame(session, image, preset, settings) {
+  const {width, height, data} = image;
+  if (session.bytes + data.byteLength > session.maxBytes) return false;
+
+  const {frameTimeMs, randomSeed, ...rest} = settings;
+  const values = {preset, ...rest};
+  const changes = {};
+  Object.entries(values).forEach(([key, value]) => {
+    if (key in session.current && isSameValue(session.current[key], value)) {
+      return;
+    }
+    changes[key] = copyValue(value);
+    session.current[key] = changes[key];
+  });
+
+  session.frames.push({
+    timeMs: typeof frameTimeMs === "number" ? frameTimeMs : null,
+    image: {width, height, data: new Uint8ClampedArray(data)},
+    changes,
+    reset: session.resetPending,
+  });
+  session.bytes += data.byteLength;
+  session.resetPending = false;
+  return true;
+}
+
+/**
+ * Mark that the pipeline state was restarted (new source, resize) before
+ * the next frame
+ */
+function markSessionReset(session) {
+  if (session.frames.length > 0) session.resetPending = true;
+}
+
+/**
+ * Time from the first to the last frame
+ */
+function getSessionDuration(session) {
+  const times = session.frames
+    .map(({timeMs}) => timeMs)
+    .filter((timeMs) => timeMs !== null);
+  return times.length > 1 ? times[times.length - 1] - times[0] : 0;
+}
+
+/**
+ * The session's frames in order as {index, image, preset, settings, reset},
+ * each image a copy the pipeline may change in place
+ */
+function* readSession(session) {
+  const current = {};
+  for (let index = 0; index < session.frames.length; index++) {
+    const frame = session.frames[index];
+    Object.assign(current, frame.changes);
+    const {preset, ...settings} = current;
+    const image = createImageBuffer(frame.image.width, frame.image.height);
+    image.data.set(frame.image.data);
+    yield {
+      index,
+      image,
+      preset,
+      settings: {
+        ...settings,
+        frameTimeMs: frame.timeMs ?? undefined,
+        randomSeed: session.randomSeed,
+      },
+      reset: frame.reset,
+    };
+  }
+}
+
+/**
+ * Render every frame of a session, in order, from fresh pipeline state,
+ * yielding {index, image} with a new output buffer per frame
+ * options: {preset, settings}; preset replaces the recorded one and settings
+ * are laid over the recorded settings of every frame
+ */
+function* replaySession(session, options = {}) {
+  let states = null;
+  let stateKey = null;
+
+  for (const frame of readSession(session)) {
+    const preset = options.preset || frame.preset;
+    const settings = {...frame.settings, ...options.settings};
+    const binocular = Boolean(settings.binocular);
+
+    // A view gets new state when it changes size or mode, as in renderView
+    const key = [frame.image.width, frame.image.height, binocular].join(",");
+    if (!states || frame.reset || key !== stateKey) {
+      states = Object.fromEntries(
+        EYES.map((eye) => [eye, createPipelineState()])
+      );
+      stateKey = key;
+    }
+
+    // One eye of a side-by-side source shows the left eye's half
+    const image = binocular
+      ? runBinocularImagePipeline(frame.image, preset, settings, states)
+      : runImagePipeline(
+          settings.sideBySide ? splitSideBySide(frame.image).left : frame.image,
+          preset,
+          settings,
+          states[EYES[0]]
+        );
+    yield {index: frame.index, image};
+  }
+}
+
+/**
+ * Gzip bytes, or gunzip them, with the streams browsers and Node share
+ */
+async function transformBytes(parts, transform) {
+  const stream = new Blob(parts).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Session file contents: a 4-byte little-endian header length, the JSON
+ * header, then every byte array it refers to ({$bytes: index, type}), all
+ * gzipped
+ */
+async function encodeSession(session) {
+  const blobs = [];
+  const toHeaderValue = (value) => {
+    if (ArrayBuffer.isView(value)) {
+      blobs.push(value);
+      return {$bytes: blobs.length - 1, type: value.constructor.name};
+    }
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, toHeaderValue(item)])
+      );
+    }
+    return value;
+  };
+
+  const frames = session.frames.map((frame) => toHeaderValue(frame));
+  const header = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    randomSeed: session.randomSeed,
+    frames,
+    blobs: blobs.map((blob) => blob.byteLength),
+  };
+
+  const json = new TextEncoder().encode(JSON.stringify(header));
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, json.byteLength, true);
+  return transformBytes(
+    [length, json, ...blobs],
+    new CompressionStream("gzip")
+  );
+}
+
+/**
+ * Session from encodeSession's bytes
+ * Throws an Error if the bytes are not a session this version can read
+ */
+async function decodeSession(bytes) {
+  let data;
+  try {
+    data = await transformBytes([bytes], new DecompressionStream("gzip"));
+  } catch (error) {
+    throw new Error("Not a session file");
+  }
+  if (data.byteLength < 4) throw new Error("Not a session file");
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const headerLength = view.getUint32(0, true);
+  let header;
+  try {
+    header = JSON.parse(
+      new TextDecoder().decode(data.subarray(4, 4 + headerLength))
+    );
+  } catch (error) {
+    throw new Error("Not a session file");
+  }
+  if (!header || header.format !== SESSION_FORMAT) {
+    throw new Error("Not a session file");
+  }
+  if (header.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${header.version}`);
+  }
+
+  const offsets = [];
+  let offset = 4 + headerLength;
+  header.blobs.forEach((length) => {
+    offsets.push(offset);
+    offset += length;
+  });
+  if (offset > data.byteLength) throw new Error("Session file is truncated");
+
+  const fromHeaderValue = (value) => {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      return value;
+    }
+    if ("$bytes" in value) {
+      const Type = BYTE_ARRAY_TYPES[value.type];
+      if (!Type) throw new Error(`Unknown array type: ${value.type}`);
+      // A copy, so posting an array to a worker does not clone the file
+      const start = offsets[value.$bytes];
+      return new Type(
+        data.slice(start, start + header.blobs[value.$bytes]).buffer
+      );
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fromHeaderValue(item)])
+    );
+  };
+
+  const session = createSession({randomSeed: header.randomSeed});
+  session.frames = header.frames.map((frame) => fromHeaderValue(frame));
+  session.bytes = session.frames.reduce(
+    (total, frame) => total + frame.image.data.byteLength,
+    0
+  );
+  return session;
+}
+
+export {
+  SESSION_EXTENSION,
+  MAX_SESSION_BYTES,
+  createSession,
+  recordSessionFrame,
+  markSessionReset,
+  getSessionDuration,
+  readSession,
+  replaySession,
+  encodeSession,
+  decodeSession,
+};
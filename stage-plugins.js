@@ -0,0 +1,26 @@
+/**
+ * Extra Pipeline Stages
+ * Imported by the app, the vision worker and the command-line renderer, so
+ * every copy of the pipeline sees the same stages. Add one import per stage
+ * module; the module registers its stage when loaded, e.g.
+ *
+ *   import {registerStage} from "./pipeline.js";
+ *
+ *   registerStage({
+ *     id: "glare",
+ *     label: "Glare",
+ *     description: "Veiling glare around bright lights",
+ *     order: 550, // after optical effects, before peripheral vision
+ *     presetFields: ["scatteringFactor"],
+ *     params: [
+ *       {key: "strength", label: "Strength", min: 0, max: 1, step: 0.05,
+ *        defaultValue: 0.5},
+ *     ],
+ *     apply: (frame, preset, settings, state, params) => { ... },
+ *   });
+ *
+ * apply gets the frame every stage shares: linear light, RGBA in 0..1 in a
+ * Float32Array, changed in place and returned (see vision.js).
+ *
+ * See registerStage in pipeline.js for every field of a stage.
+ */
@@ -0,0 +1,303 @@
+/**
+ * Test Stimulus Module
+ * Calibrated patterns for checking the model against what infants are known
+ * to see: gratings, Teller-style acuity cards, Vistech-style contrast charts
+ * and high-contrast mobile patterns. Sizes and spatial frequencies use the
+ * same pixels-per-degree estimate as the filters, so a 2 cpd grating here is
+ * 2 cpd to the pipeline.
+ */
+
+import {
+  DEFAULT_CAMERA_HFOV_DEG,
+  createImageBuffer,
+  estimatePixelsPerDegree,
+  linearToSrgb,
+} from "./vision.js";
+
+const STIMULUS_KINDS = [
+  {id: "grating", label: "Grating"},
+  {id: "teller", label: "Teller acuity card"},
+  {id: "contrastChart", label: "Contrast chart"},
+  {id: "mobile", label: "Black/white/red mobile"},
+];
+
+const WAVEFORMS = ["sine", "square"];
+
+const DEFAULT_STIMULUS = {
+  kind: "grating",
+  cpd: 2,
+  contrast: 1, // Michelson contrast, 0-1
+  waveform: "sine",
+  orientationDeg: 0, // 0: vertical bars
+  side: "left", // Teller card: side of the grating patch
+};
+
+// Gratings modulate around this linear luminance, so contrast 1 spans 0-1
+const MEAN_LUMINANCE = 0.5;
+
+// Teller card: square grating patch, its center this far from the peephole
+const TELLER_PATCH_DEG = 12;
+const TELLER_OFFSET_DEG = 14;
+const TELLER_PEEPHOLE_DEG = 0.6;
+
+// Contrast chart: one row per spatial frequency, contrast falling by 0.2 log
+// units per column; rows use infant-range frequencies rather than Vistech's
+// 1.5-18 cpd. Patches tilt left, stay vertical or tilt right.
+const CONTRAST_CHART_CPD = [0.5, 1, 2, 4, 8];
+const CONTRAST_CHART_COLUMNS = 8;
+const CONTRAST_CHART_MAX = 0.64;
+const CONTRAST_CHART_TILTS_DEG = [-15, 0, 15];
+
+// Mobile: stripe, ring and check width
+const MOBILE_FEATURE_DEG = 3;
+const MOBILE_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [220, 30, 30],
+};
+
+// Square waves are averaged over SUPERSAMPLE x SUPERSAMPLE points per pixel
+const SUPERSAMPLE = 4;
+
+function encodeLuminance(luminance) {
+  return Math.round(linearToSrgb(Math.max(0, Math.min(1, luminance))) * 255);
+}
+
+function setGray(data, index, value) {
+  data[index] = value;
+  data[index + 1] = value;
+  data[index + 2] = value;
+}
+
+function setColor(data, index, [r, g, b]) {
+  data[index] = r;
+  data[index + 1] = g;
+  data[index + 2] = b;
+}
+
+/**
+ * Highest spatial frequency a width x height image can show (Nyquist)
+ */
+function getMaxStimulusCPD(width, height, hfovDeg = DEFAULT_CAMERA_HFOV_DEG) {
+  return estimatePixelsPerDegree(width, height, hfovDeg) / 2;
+}
+
+/**
+ * Grating value in [-1, 1] at (u, v) degrees from its center
+ * Square waves are box-filtered over the pixel (pixelDeg wide)
+ */
+function sampleGrating(u, v, grating, pixelDeg) {
+  const angle = (grating.orientationDeg * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const phase = (uu, vv) => 2 * Math.PI * grating.cpd * (uu * cos + vv * sin);
+
+  if (grating.waveform !== "square") return Math.sin(phase(u, v));
+
+  let sum = 0;
+  for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+    for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+      const du = ((sx + 0.5) / SUPERSAMPLE - 0.5) * pixelDeg;
+      const dv = ((sy + 0.5) / SUPERSAMPLE - 0.5) * pixelDeg;
+      sum += Math.sin(phase(u + du, v + dv)) >= 0 ? 1 : -1;
+    }
+  }
+  return sum / (SUPERSAMPLE * SUPERSAMPLE);
+}
+
+/**
+ * Full-field grating centered on the image
+ */
+function drawGrating(image, stimulus, ppd) {
+  const {width, height, data} = image;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = (x + 0.5 - width / 2) / ppd;
+      const v = (y + 0.5 - height / 2) / ppd;
+      const value = sampleGrating(u, v, stimulus, 1 / ppd);
+      setGray(
+        data,
+        (y * width + x) * 4,
+        encodeLuminance(MEAN_LUMINANCE * (1 + stimulus.contrast * value))
+      );
+    }
+  }
+}
+
+/**
+ * Teller card: a gray card, mean-matched to a full-contrast square-wave
+ * patch on one side of a central peephole
+ */
+function drawTellerCard(image, stimulus, ppd) {
+  const {width, height, data} = image;
+  const patchCenter = (stimulus.side === "right" ? 1 : -1) * TELLER_OFFSET_DEG;
+  const grating = {cpd: stimulus.cpd, waveform: "square", orientationDeg: 0};
+  const gray = encodeLuminance(MEAN_LUMINANCE);
+  const peephole = encodeLuminance(0.05);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = (x + 0.5 - width / 2) / ppd;
+      const v = (y + 0.5 - height / 2) / ppd;
+      const i = (y * width + x) * 4;
+      if (
+        Math.abs(u - patchCenter) <= TELLER_PATCH_DEG / 2 &&
+        Math.abs(v) <= TELLER_PATCH_DEG / 2
+      ) {
+        const value = sampleGrating(u - patchCenter, v, grating, 1 / ppd);
+        setGray(data, i, encodeLuminance(MEAN_LUMINANCE * (1 + value)));
+      } else if (Math.hypot(u, v) <= TELLER_PEEPHOLE_DEG / 2) {
+        setGray(data, i, peephole);
+      } else {
+        setGray(data, i, gray);
+      }
+    }
+  }
+}
+
+/**
+ * Contrast chart: rows of round sine patches with soft edges
+ * Patches above the image's Nyquist limit are left blank
+ */
+function drawContrastChart(image, ppd) {
+  const {width, height, data} = image;
+  const rows = CONTRAST_CHART_CPD.length;
+  const columns = CONTRAST_CHART_COLUMNS;
+  const cell = Math.min(width / (columns + 1), height / (rows + 1));
+  const radius = cell * 0.42;
+  const left = (width - cell * columns) / 2;
+  const top = (height - cell * rows) / 2;
+  const maxCPD = ppd / 2;
+
+  data.fill(encodeLuminance(MEAN_LUMINANCE));
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+
+  for (let row = 0; row < rows; row++) {
+    const cpd = CONTRAST_CHART_CPD[row];
+    if (cpd > maxCPD) continue;
+
+    for (let column = 0; column < columns; column++) {
+      const contrast = CONTRAST_CHART_MAX * Math.pow(10, -0.2 * column);
+      const grating = {
+        cpd,
+        waveform: "sine",
+        orientationDeg: CONTRAST_CHART_TILTS_DEG[(row * 2 + column) % 3],
+      };
+      const cx = left + (column + 0.5) * cell;
+      const cy = top + (row + 0.5) * cell;
+
+      const x0 = Math.max(0, Math.floor(cx - radius));
+      const x1 = Math.min(width - 1, Math.ceil(cx + radius));
+      const y0 = Math.max(0, Math.floor(cy - radius));
+      const y1 = Math.min(height - 1, Math.ceil(cy + radius));
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const dx = x + 0.5 - cx;
+          const dy = y + 0.5 - cy;
+          const r = Math.hypot(dx, dy) / radius;
+          if (r > 1) continue;
+          // Raised-cosine edge over the outer fifth of the patch
+          const edge =
+            r < 0.8 ? 1 : 0.5 + 0.5 * Math.cos((Math.PI * (r - 0.8)) / 0.2);
+          const value = sampleGrating(dx / ppd, dy / ppd, grating, 1 / ppd);
+          setGray(
+            data,
+            (y * width + x) * 4,
+            encodeLuminance(MEAN_LUMINANCE * (1 + contrast * edge * value))
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Mobile: bullseye, checkerboard, red target and striped disk on white,
+ * one per quadrant, built from MOBILE_FEATURE_DEG wide elements
+ */
+function drawMobile(image, ppd) {
+  const {width, height, data} = image;
+  const {black, white, red} = MOBILE_COLORS;
+  const radius = Math.min(width, height) * 0.22;
+  const centers = [
+    [width * 0.25, height * 0.28],
+    [width * 0.75, height * 0.28],
+    [width * 0.25, height * 0.72],
+    [width * 0.75, height * 0.72],
+  ];
+  const feature = MOBILE_FEATURE_DEG * ppd;
+
+  const band = (value) => Math.floor(value / feature);
+  const mod = (n, m) => ((n % m) + m) % m;
+  const shapes = [
+    (dx, dy) => (band(Math.hypot(dx, dy)) % 2 ? white : black),
+    (dx, dy) => (mod(band(dx) + band(dy), 2) ? white : black),
+    (dx, dy) => [white, black, red][Math.min(2, band(Math.hypot(dx, dy)))],
+    (dx, dy) => [black, white, red][mod(band(dx + dy), 3)],
+  ];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      setColor(data, i, white);
+      centers.forEach(([cx, cy], index) => {
+        const dx = x + 0.5 - cx;
+        const dy = y + 0.5 - cy;
+        if (Math.hypot(dx, dy) <= radius) {
+          setColor(data, i, shapes[index](dx, dy));
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Render a stimulus ({kind, cpd, contrast, waveform, orientationDeg, side},
+ * see DEFAULT_STIMULUS) as a width x height RGBA image buffer
+ * options: {hfovDeg}, the field of view the image will be processed with
+ */
+function renderStimulus(width, height, stimulus, options = {}) {
+  const settings = {...DEFAULT_STIMULUS, ...stimulus};
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+  const image = createImageBuffer(width, height);
+
+  if (settings.kind === "grating") {
+    drawGrating(image, settings, ppd);
+  } else if (settings.kind === "teller") {
+    drawTellerCard(image, settings, ppd);
+  } else if (settings.kind === "contrastChart") {
+    drawContrastChart(image, ppd);
+  } else if (settings.kind === "mobile") {
+    drawMobile(image, ppd);
+  } else {
+    throw new Error(`Unknown stimulus: ${settings.kind}`);
+  }
+  return image;
+}
+
+/**
+ * One-line description, e.g. for snapshot captions
+ */
+function describeStimulus(stimulus) {
+  const settings = {...DEFAULT_STIMULUS, ...stimulus};
+  const cpd = `${Number(settings.cpd.toFixed(2))} cpd`;
+  if (settings.kind === "grating") {
+    return `${cpd} ${settings.waveform} grating, ${Math.round(
+      settings.contrast * 100
+    )}% contrast, ${settings.orientationDeg}°`;
+  }
+  if (settings.kind === "teller") {
+    return `Teller card, ${cpd} on the ${settings.side}`;
+  }
+  return STIMULUS_KINDS.find((kind) => kind.id === settings.kind).label;
+}
+
+export {
+  STIMULUS_KINDS,
+  WAVEFORMS,
+  DEFAULT_STIMULUS,
+  CONTRAST_CHART_CPD,
+  getMaxStimulusCPD,
+  renderStimulus,
+  describeStimulus,
+};
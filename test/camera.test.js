@@ -0,0 +1,163 @@
+/**
+ * Camera choice: getUserMedia constraints, error screens, the front/rear
+ * flip and the remembered choice
+ */
+
+import {describe, it, beforeEach, after, mock} from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_CAMERA_CHOICE,
+  getCameraConstraints,
+  getCameraErrorKind,
+  getLabelFacingMode,
+  getFlippedChoice,
+  loadCameraChoice,
+  saveCameraChoice,
+} from "../camera.js";
+
+const STORAGE_KEY = "sim-view:camera";
+
+const DEVICES = [
+  {deviceId: "front-id", label: "FaceTime HD Camera"},
+  {deviceId: "back-id", label: "camera2 0, facing back"},
+];
+
+/**
+ * localStorage for Node, which has none
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+  };
+}
+
+describe("camera errors", () => {
+  const kindOf = (name) => getCameraErrorKind({name});
+
+  it("maps current and legacy error names to their screens", () => {
+    ["NotAllowedError", "PermissionDeniedError", "SecurityError"].forEach(
+      (name) => assert.equal(kindOf(name), "denied", name)
+    );
+    ["NotFoundError", "DevicesNotFoundError"].forEach((name) =>
+      assert.equal(kindOf(name), "notFound", name)
+    );
+    ["NotReadableError", "TrackStartError", "AbortError"].forEach((name) =>
+      assert.equal(kindOf(name), "inUse", name)
+    );
+  });
+
+  it("treats a camera that cannot meet the constraints as gone", () => {
+    assert.equal(kindOf("OverconstrainedError"), "notFound");
+  });
+
+  it("falls back to the unknown screen", () => {
+    assert.equal(kindOf("TypeError"), "unknown");
+    assert.equal(getCameraErrorKind(null), "unknown");
+    assert.equal(getCameraErrorKind(new Error("failed")), "unknown");
+  });
+});
+
+describe("camera facing", () => {
+  it("reads the facing direction from device labels", () => {
+    assert.equal(getLabelFacingMode("Back Camera"), "environment");
+    assert.equal(getLabelFacingMode("camera2 0, facing back"), "environment");
+    assert.equal(getLabelFacingMode("Rear wide camera"), "environment");
+    assert.equal(getLabelFacingMode("Front Camera"), "user");
+    assert.equal(getLabelFacingMode("FaceTime HD Camera"), "user");
+    assert.equal(getLabelFacingMode("USB Webcam (046d:0825)"), null);
+    assert.equal(getLabelFacingMode(), null);
+  });
+
+  it("flips to a labeled camera facing the other way", () => {
+    const choice = {...DEFAULT_CAMERA_CHOICE, resolutionId: "1080p"};
+    assert.deepEqual(getFlippedChoice(choice, "user", DEVICES), {
+      deviceId: "back-id",
+      facingMode: "environment",
+      resolutionId: "1080p",
+    });
+    assert.deepEqual(getFlippedChoice(choice, "environment", DEVICES), {
+      deviceId: "front-id",
+      facingMode: "user",
+      resolutionId: "1080p",
+    });
+  });
+
+  it("flips by facing direction alone when no label tells", () => {
+    const unlabeled = DEVICES.map(({deviceId}) => ({deviceId, label: ""}));
+    const choice = {...DEFAULT_CAMERA_CHOICE, deviceId: "front-id"};
+    assert.deepEqual(getFlippedChoice(choice, "user", unlabeled), {
+      ...DEFAULT_CAMERA_CHOICE,
+      deviceId: null,
+      facingMode: "environment",
+    });
+  });
+});
+
+describe("camera constraints", () => {
+  it("requires a chosen device over the facing direction", () => {
+    const {video, audio} = getCameraConstraints({
+      deviceId: "back-id",
+      facingMode: "user",
+      resolutionId: "360p",
+    });
+    assert.equal(audio, false);
+    assert.deepEqual(video.deviceId, {exact: "back-id"});
+    assert.equal(video.facingMode, undefined);
+    assert.deepEqual(video.width, {ideal: 640});
+    assert.deepEqual(video.height, {ideal: 360});
+  });
+
+  it("prefers the facing direction when no device is chosen", () => {
+    const {video} = getCameraConstraints({
+      ...DEFAULT_CAMERA_CHOICE,
+      facingMode: "environment",
+      resolutionId: "4k",
+    });
+    assert.deepEqual(video.facingMode, {ideal: "environment"});
+    assert.equal(video.deviceId, undefined);
+    assert.deepEqual(video.width, {ideal: 1280}, "default resolution");
+  });
+});
+
+describe("remembered camera choice", () => {
+  globalThis.localStorage = createStorage();
+  beforeEach(() => localStorage.clear());
+  after(() => delete globalThis.localStorage);
+
+  it("starts from the default", () => {
+    assert.deepEqual(loadCameraChoice(), DEFAULT_CAMERA_CHOICE);
+  });
+
+  it("loads a saved choice", () => {
+    const choice = {
+      deviceId: "back-id",
+      facingMode: "environment",
+      resolutionId: "1080p",
+    };
+    saveCameraChoice(choice);
+    assert.deepEqual(loadCameraChoice(), choice);
+  });
+
+  it("replaces invalid stored values with the defaults", () => {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({deviceId: 42, facingMode: "left", resolutionId: "8k"})
+    );
+    assert.deepEqual(loadCameraChoice(), DEFAULT_CAMERA_CHOICE);
+  });
+
+  it("falls back to the default for an unreadable entry", () => {
+    localStorage.setItem(STORAGE_KEY, "{not json");
+    const error = mock.method(console, "error", () => {});
+    try {
+      assert.deepEqual(loadCameraChoice(), DEFAULT_CAMERA_CHOICE);
+      assert.equal(error.mock.callCount(), 1);
+    } finally {
+      error.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Cone sensitivities of the color stage
+ * A gray patch goes through applyLMSColorProcessing and the cone responses
+ * recovered from the output must match each preset's coneSensitivity
+ *
+ * Infant color vision: hues a newborn cannot tell apart come out of
+ * applyInfantColorVision with the same chromaticity
+ */
+
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+  AGE_PRESETS,
+  RGB_TO_LMS,
+  decodeFrame,
+  getPresetForAge,
+  applyLMSColorProcessing,
+  applyInfantColorVision,
+} from "../vision.js";
+import {createSolidImage} from "./helpers.js";
+
+// Mid gray keeps every preset's output inside the sRGB gamut
+const GRAY_LEVEL = 150;
+const GAIN_TOLERANCE = 0.02;
+const CONES = ["L", "M", "S"];
+
+function toLms([r, g, b]) {
+  return RGB_TO_LMS.map((row) => row[0] * r + row[1] * g + row[2] * b);
+}
+
+/**
+ * Gain of each cone, undoing the stage's von Kries blend towards 0.5
+ */
+function measureConeGains(preset) {
+  const frame = decodeFrame(
+    createSolidImage(4, 4, [GRAY_LEVEL, GRAY_LEVEL, GRAY_LEVEL])
+  );
+  const input = toLms(frame.data.slice(0, 3));
+  applyLMSColorProcessing(frame, preset);
+  const output = toLms(frame.data.slice(0, 3));
+
+  const adaptation = preset.coneAdaptation;
+  return Object.fromEntries(
+    CONES.map((cone, c) => [
+      cone,
+      (output[c] - (1 - adaptation) * 0.5) / (adaptation * input[c]),
+    ])
+  );
+}
+
+describe("cone sensitivities", () => {
+  Object.entries(AGE_PRESETS).forEach(([key, preset]) => {
+    it(`match the ${key === "adult" ? "adult" : preset.label} preset`, () => {
+      const gains = measureConeGains(preset);
+      const expected = preset.coneSensitivity;
+
+      CONES.forEach((cone) => {
+        assert.ok(
+          Math.abs(gains[cone] - expected[cone]) <= GAIN_TOLERANCE,
+          `${cone} gain ${gains[cone].toFixed(3)}, expected ${expected[cone]}`
+        );
+      });
+      ["M", "S"].forEach((cone) => {
+        const ratio = gains[cone] / gains.L;
+        const expectedRatio = expected[cone] / expected.L;
+        assert.ok(
+          Math.abs(ratio - expectedRatio) <= GAIN_TOLERANCE,
+          `${cone}/L ratio ${ratio.toFixed(
+            3
+          )}, expected ${expectedRatio.toFixed(3)}`
+        );
+      });
+    });
+  });
+
+  it("develop L first, then M, then S", () => {
+    Object.values(AGE_PRESETS).forEach((preset) => {
+      const {L, M, S} = preset.coneSensitivity;
+      assert.ok(L >= M && M >= S, `${preset.label}: L=${L} M=${M} S=${S}`);
+    });
+  });
+});
+
+/**
+ * Share of each channel in the infant color output for a solid color
+ */
+function measureChromaticity(preset, rgb) {
+  const frame = decodeFrame(createSolidImage(4, 4, rgb));
+  applyInfantColorVision(frame, preset);
+  const [r, g, b] = frame.data.slice(0, 3);
+  const total = r + g + b;
+  return [r / total, g / total, b / total];
+}
+
+/**
+ * Largest channel difference in chromaticity between green and blue
+ */
+function measureGreenBlueDifference(preset) {
+  const green = measureChromaticity(preset, [0, 200, 0]);
+  const blue = measureChromaticity(preset, [0, 0, 255]);
+  return Math.max(...green.map((share, c) => Math.abs(share - blue[c])));
+}
+
+describe("infant color vision", () => {
+  it("loses chroma at birth and keeps it at 12 months", () => {
+    const newborn = measureGreenBlueDifference(getPresetForAge(0));
+    const twelveMonths = measureGreenBlueDifference(AGE_PRESETS[12]);
+    assert.ok(newborn < 1e-6, `newborn difference ${newborn}`);
+    assert.ok(twelveMonths > 0.5, `12-month difference ${twelveMonths}`);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Linear-light frames: decoding 8-bit sRGB and encoding it back
+ */
+
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+  createImageBuffer,
+  createFrame,
+  decodeFrame,
+  encodeFrame,
+  srgbToLinear,
+  linearToSrgb,
+  createRandom,
+} from "../vision.js";
+
+describe("frame encoding", () => {
+  it("brings every 8-bit level back unchanged", () => {
+    const image = createImageBuffer(256, 1);
+    for (let v = 0; v < 256; v++) {
+      image.data.set([v, 255 - v, v], v * 4);
+    }
+    const frame = decodeFrame(image);
+    frame.data.forEach((value, i) => {
+      const expected = i % 4 === 3 ? 1 : srgbToLinear(image.data[i] / 255);
+      assert.ok(Math.abs(value - expected) < 1e-6, `value ${i}`);
+    });
+    assert.deepEqual(encodeFrame(frame).data, image.data);
+  });
+
+  it("rounds linear values to the nearest sRGB level", () => {
+    const random = createRandom(1);
+    const frame = createFrame(1000, 1);
+    frame.data.forEach((_, i) => {
+      if (i % 4 !== 3) frame.data[i] = Math.pow(random(), 3);
+    });
+    const image = encodeFrame(frame);
+    frame.data.forEach((value, i) => {
+      if (i % 4 === 3) return;
+      const exact = linearToSrgb(value) * 255;
+      assert.ok(
+        Math.abs(image.data[i] - exact) <= 0.5 + 0.05,
+        `${value} encoded as ${image.data[i]}, exact ${exact.toFixed(2)}`
+      );
+    });
+  });
+
+  it("clamps values outside 0..1 and keeps the image opaque", () => {
+    const frame = createFrame(2, 2);
+    frame.data.set([-0.5, 1.5, NaN, 0.2, 2, 0, 1, -1]);
+    const image = encodeFrame(frame);
+    assert.deepEqual(
+      Array.from(image.data.slice(0, 8)),
+      [0, 255, 0, 255, 255, 0, 255, 255]
+    );
+  });
+});
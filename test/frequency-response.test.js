@@ -0,0 +1,114 @@
+/**
+ * Frequency response of the spatial filtering stage
+ * Full-contrast sine gratings go through applySpatialFrequencyFilter, and the
+ * measured modulation transfer must fall off at each age's spatialCutoffCPD
+ */
+
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {AGE_PRESETS, applySpatialFrequencyFilter} from "../vision.js";
+import {getGratingHfov, measureTransfer} from "./helpers.js";
+
+// Effective cutoff: where the transfer of a full-contrast grating falls to
+// half; it must land within CUTOFF_TOLERANCE of spatialCutoffCPD
+const HALF_TRANSFER = 0.5;
+const CUTOFF_TOLERANCE = 0.15;
+
+// Gratings well below the cutoff pass nearly whole, gratings above it are gone
+const PASS_RATIO = 0.5;
+const PASS_MIN_TRANSFER = 0.85;
+const STOP_RATIO = 1.1;
+const STOP_MAX_TRANSFER = 0.06;
+
+// The filter works in octave bands, so the cutoff is checked at pixel
+// densities spread over one octave of band alignment
+const PPD_PER_CUTOFF = [0, 1, 2, 3].map((step) => 6 * Math.pow(2, step / 4));
+
+const INFANT_AGES = Object.keys(AGE_PRESETS).filter(
+  (key) => !Number.isNaN(Number(key))
+);
+
+function filterGrating(preset) {
+  return (frame, hfovDeg) =>
+    applySpatialFrequencyFilter(frame, preset, {hfovDeg});
+}
+
+/**
+ * Frequency where the transfer falls through HALF_TRANSFER, by bisection
+ */
+function findEffectiveCutoff(preset, hfovDeg) {
+  const apply = filterGrating(preset);
+  let low = 0.5 * preset.spatialCutoffCPD;
+  let high = 1.25 * preset.spatialCutoffCPD;
+  for (let step = 0; step < 7; step++) {
+    const middle = (low + high) / 2;
+    if (measureTransfer(apply, middle, hfovDeg) >= HALF_TRANSFER) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+describe("spatial frequency filter", () => {
+  INFANT_AGES.forEach((key) => {
+    const preset = AGE_PRESETS[key];
+    const cutoff = preset.spatialCutoffCPD;
+
+    describe(`${preset.label} (${cutoff} cpd cutoff)`, () => {
+      PPD_PER_CUTOFF.forEach((ratio) => {
+        const hfovDeg = getGratingHfov(ratio * cutoff);
+
+        it(`matches the cutoff at ${ratio.toFixed(
+          1
+        )} px per cutoff cycle`, () => {
+          const effective = findEffectiveCutoff(preset, hfovDeg);
+          assert.ok(
+            Math.abs(effective / cutoff - 1) <= CUTOFF_TOLERANCE,
+            `effective cutoff ${effective.toFixed(
+              2
+            )} cpd, expected ${cutoff} cpd`
+          );
+        });
+      });
+
+      it("passes gratings well below the cutoff", () => {
+        PPD_PER_CUTOFF.forEach((ratio) => {
+          const transfer = measureTransfer(
+            filterGrating(preset),
+            PASS_RATIO * cutoff,
+            getGratingHfov(ratio * cutoff)
+          );
+          assert.ok(
+            transfer >= PASS_MIN_TRANSFER,
+            `transfer ${transfer.toFixed(2)} at ${ratio.toFixed(1)} px/cycle`
+          );
+        });
+      });
+
+      it("removes gratings above the cutoff", () => {
+        PPD_PER_CUTOFF.forEach((ratio) => {
+          const transfer = measureTransfer(
+            filterGrating(preset),
+            STOP_RATIO * cutoff,
+            getGratingHfov(ratio * cutoff)
+          );
+          assert.ok(
+            transfer <= STOP_MAX_TRANSFER,
+            `transfer ${transfer.toFixed(2)} at ${ratio.toFixed(1)} px/cycle`
+          );
+        });
+      });
+    });
+  });
+
+  it("leaves the adult view unchanged", () => {
+    const transfer = measureTransfer(
+      filterGrating(AGE_PRESETS.adult),
+      8,
+      getGratingHfov(32)
+    );
+    assert.ok(Math.abs(transfer - 1) < 0.01, `transfer ${transfer}`);
+  });
+});
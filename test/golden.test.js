@@ -0,0 +1,118 @@
+/**
+ * Golden-image regression: built-in stimuli through the whole pipeline,
+ * compared with the PNGs in test/fixtures/golden
+ *
+ * After an intended change to the model, rewrite the fixtures with
+ *   npm run test:update-golden
+ * and look over the new images before committing them.
+ */
+
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import {fileURLToPath} from "node:url";
+import {AGE_PRESETS, createImageBuffer} from "../vision.js";
+import {PIPELINE_STAGES, runImagePipeline} from "../pipeline.js";
+import {renderStimulus} from "../stimuli.js";
+import {readImage, writeImage} from "../cli/image-io.js";
+
+const FIXTURE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "golden"
+);
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+const WIDTH = 240;
+const HEIGHT = 135;
+const HFOV_DEG = 30;
+const NOISE_SEED = 20;
+
+// Per-channel difference allowed for floating-point drift between platforms
+const MAX_CHANNEL_DIFFERENCE = 2;
+
+const STIMULI = ["mobile", "contrastChart"];
+const AGES = ["0", "2", "6", "adult"];
+
+const SETTINGS = {
+  enabledStages: Object.fromEntries(
+    PIPELINE_STAGES.map((stage) => [stage.id, true])
+  ),
+  hfovDeg: HFOV_DEG,
+  frameTimeMs: 0,
+  randomSeed: NOISE_SEED,
+};
+
+/**
+ * Pipeline output for one fixture
+ */
+function renderCase(kind, age) {
+  const image = renderStimulus(WIDTH, HEIGHT, {kind}, {hfovDeg: HFOV_DEG});
+  return runImagePipeline(image, AGE_PRESETS[age], SETTINGS);
+}
+
+/**
+ * Largest channel difference and the number of pixels differing at all
+ */
+function compareImages(actual, expected) {
+  let maxDifference = 0;
+  let changedPixels = 0;
+  for (let i = 0; i < actual.data.length; i += 4) {
+    let pixelDifference = 0;
+    for (let c = 0; c < 3; c++) {
+      pixelDifference = Math.max(
+        pixelDifference,
+        Math.abs(actual.data[i + c] - expected.data[i + c])
+      );
+    }
+    maxDifference = Math.max(maxDifference, pixelDifference);
+    if (pixelDifference > 0) changedPixels++;
+  }
+  return {maxDifference, changedPixels};
+}
+
+describe("golden images", () => {
+  STIMULI.forEach((kind) => {
+    AGES.forEach((age) => {
+      const name = `${kind}-${age === "adult" ? "adult" : `${age}m`}.png`;
+      const fixture = path.join(FIXTURE_DIR, name);
+
+      it(`${name} matches its fixture`, async () => {
+        const actual = renderCase(kind, age);
+        if (UPDATE) {
+          await writeImage(fixture, actual);
+          return;
+        }
+
+        assert.ok(
+          fs.existsSync(fixture),
+          `Missing ${fixture}; run npm run test:update-golden`
+        );
+        const expected = await readImage(fixture);
+        assert.equal(expected.width, WIDTH);
+        assert.equal(expected.height, HEIGHT);
+
+        const {maxDifference, changedPixels} = compareImages(actual, expected);
+        assert.ok(
+          maxDifference <= MAX_CHANNEL_DIFFERENCE,
+          `${changedPixels} pixels differ, by up to ${maxDifference}`
+        );
+      });
+    });
+  });
+
+  it("adult pipeline is an identity transform", () => {
+    STIMULI.forEach((kind) => {
+      const input = renderStimulus(WIDTH, HEIGHT, {kind}, {hfovDeg: HFOV_DEG});
+      const output = createImageBuffer(WIDTH, HEIGHT);
+      output.data.set(input.data);
+      runImagePipeline(output, AGE_PRESETS.adult, SETTINGS);
+      assert.deepEqual(
+        compareImages(output, input),
+        {maxDifference: 0, changedPixels: 0},
+        kind
+      );
+    });
+  });
+});
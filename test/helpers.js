@@ -0,0 +1,97 @@
+/**
+ * Shared measurements for the test suite
+ * Everything works on plain RGBA image buffers and linear-light frames, so
+ * the tests run headless in Node without a browser or camera
+ */
+
+import {
+  createImageBuffer,
+  decodeFrame,
+  encodeFrame,
+  estimatePixelsPerDegree,
+} from "../vision.js";
+import {renderStimulus} from "../stimuli.js";
+
+// Grating images: wide enough for several cycles at half the cutoff, short
+// because vertical bars only vary along x
+const GRATING_WIDTH = 256;
+const GRATING_HEIGHT = 64;
+
+/**
+ * Solid RGBA image buffer
+ */
+function createSolidImage(width, height, [r, g, b]) {
+  const image = createImageBuffer(width, height);
+  for (let i = 0; i < image.data.length; i += 4) {
+    image.data[i] = r;
+    image.data[i + 1] = g;
+    image.data[i + 2] = b;
+  }
+  return image;
+}
+
+/**
+ * Run process on image as a linear-light frame and write the result back
+ */
+function processImage(image, process) {
+  const frame = decodeFrame(image);
+  process(frame);
+  return encodeFrame(frame, image);
+}
+
+/**
+ * Luminance amplitude of a vertical-bar grating of cpd cycles per degree in
+ * a frame, fitted over the central half to stay clear of edges
+ */
+function measureGratingAmplitude(frame, cpd, ppd) {
+  const {width, height, data} = frame;
+  let sumCos = 0;
+  let sumSin = 0;
+  let count = 0;
+  for (let y = height / 4; y < (3 * height) / 4; y++) {
+    for (let x = width / 4; x < (3 * width) / 4; x++) {
+      const i = (y * width + x) * 4;
+      const luminance =
+        0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+      const phase = (2 * Math.PI * cpd * (x + 0.5 - width / 2)) / ppd;
+      sumCos += luminance * Math.cos(phase);
+      sumSin += luminance * Math.sin(phase);
+      count++;
+    }
+  }
+  return (2 * Math.hypot(sumCos, sumSin)) / count;
+}
+
+/**
+ * Hfov that gives a grating image ppd pixels per degree
+ */
+function getGratingHfov(ppd) {
+  return GRATING_WIDTH / ppd;
+}
+
+/**
+ * Share of a full-contrast sine grating's modulation that survives
+ * apply(frame, hfovDeg) at hfovDeg (see getGratingHfov)
+ */
+function measureTransfer(apply, cpd, hfovDeg) {
+  const ppd = estimatePixelsPerDegree(GRATING_WIDTH, GRATING_HEIGHT, hfovDeg);
+  const frame = decodeFrame(
+    renderStimulus(
+      GRATING_WIDTH,
+      GRATING_HEIGHT,
+      {kind: "grating", cpd, contrast: 1, waveform: "sine"},
+      {hfovDeg}
+    )
+  );
+  const input = measureGratingAmplitude(frame, cpd, ppd);
+  apply(frame, hfovDeg);
+  return measureGratingAmplitude(frame, cpd, ppd) / input;
+}
+
+export {
+  createSolidImage,
+  processImage,
+  measureGratingAmplitude,
+  getGratingHfov,
+  measureTransfer,
+};
@@ -0,0 +1,219 @@
+/**
+ * Repeatable rendering: seeded noise, frame times from the caller, and
+ * sessions recorded and replayed frame-exactly
+ */
+
+import {describe, it, mock} from "node:test";
+import assert from "node:assert/strict";
+import {AGE_PRESETS, createImageBuffer, createRandom} from "../vision.js";
+import {
+  PIPELINE_STAGES,
+  createPipelineState,
+  runImagePipeline,
+} from "../pipeline.js";
+import {
+  createSession,
+  recordSessionFrame,
+  markSessionReset,
+  getSessionDuration,
+  replaySession,
+  encodeSession,
+  decodeSession,
+} from "../session.js";
+import {createSolidImage} from "./helpers.js";
+
+const WIDTH = 32;
+const HEIGHT = 24;
+const FRAME_MS = 1000 / 30;
+
+const SETTINGS = {
+  enabledStages: Object.fromEntries(
+    PIPELINE_STAGES.map((stage) => [stage.id, true])
+  ),
+  stageParams: {},
+  hfovDeg: 30,
+};
+
+/**
+ * Random RGB noise images, a different one per frame
+ */
+function createInputs(count, seed = 3) {
+  const random = createRandom(seed);
+  return Array.from({length: count}, () => {
+    const image = createImageBuffer(WIDTH, HEIGHT);
+    for (let i = 0; i < image.data.length; i += 4) {
+      image.data[i] = random() * 256;
+      image.data[i + 1] = random() * 256;
+      image.data[i + 2] = random() * 256;
+    }
+    return image;
+  });
+}
+
+function copyImage(image) {
+  const copy = createImageBuffer(image.width, image.height);
+  copy.data.set(image.data);
+  return copy;
+}
+
+/**
+ * Render inputs as one live view, recording them into session if given
+ */
+function renderLive(inputs, preset, session = null) {
+  const state = createPipelineState();
+  return inputs.map((input, index) => {
+    const settings = {...SETTINGS, frameTimeMs: 1000 + index * FRAME_MS};
+    if (session) recordSessionFrame(session, input, preset, settings);
+    return runImagePipeline(copyImage(input), preset, settings, state);
+  });
+}
+
+function replayAll(session, options) {
+  return Array.from(replaySession(session, options), ({image}) => image);
+}
+
+describe("seeded noise", () => {
+  const settings = {enabledStages: {neural: true}};
+  const render = (randomSeed, state = createPipelineState()) =>
+    runImagePipeline(
+      createSolidImage(WIDTH, HEIGHT, [128, 128, 128]),
+      AGE_PRESETS["0"],
+      {...settings, randomSeed},
+      state
+    ).data;
+
+  it("repeats the same noise for the same seed", () => {
+    assert.deepEqual(render(7), render(7));
+    assert.notDeepEqual(render(7), render(8));
+  });
+
+  it("draws new noise for each frame of a view", () => {
+    const state = createPipelineState();
+    assert.notDeepEqual(render(7, state), render(7, state));
+  });
+
+  it("reads neither Math.random nor the clock", () => {
+    const fail = () => {
+      throw new Error("unexpected call");
+    };
+    const random = mock.method(Math, "random", fail);
+    const now = mock.method(performance, "now", fail);
+    try {
+      renderLive(createInputs(2), AGE_PRESETS["0"]);
+      runImagePipeline(
+        createSolidImage(WIDTH, HEIGHT, [90, 90, 90]),
+        AGE_PRESETS["2"],
+        SETTINGS
+      );
+    } finally {
+      random.mock.restore();
+      now.mock.restore();
+    }
+  });
+});
+
+describe("sessions", () => {
+  it("stores the settings that changed with each frame", () => {
+    const session = createSession();
+    const [image] = createInputs(1);
+    const preset = AGE_PRESETS["2"];
+    recordSessionFrame(session, image, preset, {...SETTINGS, frameTimeMs: 0});
+    recordSessionFrame(session, image, preset, {...SETTINGS, frameTimeMs: 40});
+    recordSessionFrame(session, image, preset, {
+      ...SETTINGS,
+      hfovDeg: 45,
+      frameTimeMs: 80,
+    });
+
+    const [first, second, third] = session.frames;
+    assert.deepEqual(Object.keys(first.changes).sort(), [
+      "enabledStages",
+      "hfovDeg",
+      "preset",
+      "stageParams",
+    ]);
+    assert.deepEqual(second.changes, {});
+    assert.deepEqual(third.changes, {hfovDeg: 45});
+    assert.equal(getSessionDuration(session), 80);
+  });
+
+  it("replays the recorded frames exactly as they were rendered", async () => {
+    const inputs = createInputs(4);
+    const session = createSession();
+    const live = renderLive(inputs, AGE_PRESETS["0"], session);
+
+    const saved = await decodeSession(await encodeSession(session));
+    const replayed = replayAll(saved);
+    assert.equal(replayed.length, live.length);
+    replayed.forEach((image, index) =>
+      assert.deepEqual(image.data, live[index].data, `frame ${index}`)
+    );
+  });
+
+  it("replays with another preset as if rendered live with it", () => {
+    const inputs = createInputs(3);
+    const session = createSession();
+    const recorded = renderLive(inputs, AGE_PRESETS["0"], session);
+    const live = renderLive(inputs, AGE_PRESETS["6"]);
+
+    const replayed = replayAll(session, {preset: AGE_PRESETS["6"]});
+    replayed.forEach((image, index) => {
+      assert.deepEqual(image.data, live[index].data, `frame ${index}`);
+      assert.notDeepEqual(image.data, recorded[index].data, `frame ${index}`);
+    });
+  });
+
+  it("restarts the pipeline state where the recording did", () => {
+    const inputs = createInputs(3);
+    const session = createSession();
+    const preset = AGE_PRESETS["0"];
+    const firstPart = renderLive(inputs.slice(0, 2), preset, session);
+    markSessionReset(session);
+    const secondPart = renderLive(inputs.slice(2), preset, session);
+
+    const replayed = replayAll(session);
+    [...firstPart, ...secondPart].forEach((image, index) =>
+      assert.deepEqual(replayed[index].data, image.data, `frame ${index}`)
+    );
+  });
+
+  it("keeps depth maps through a saved file", async () => {
+    const session = createSession({randomSeed: 42});
+    const depthMap = {
+      width: 2,
+      height: 1,
+      data: Uint8Array.from([0, 255]),
+    };
+    const [image] = createInputs(1);
+    recordSessionFrame(session, image, AGE_PRESETS.adult, {
+      ...SETTINGS,
+      depthMap,
+    });
+
+    const saved = await decodeSession(await encodeSession(session));
+    assert.equal(saved.randomSeed, 42);
+    assert.equal(saved.frames[0].timeMs, null);
+    assert.deepEqual(saved.frames[0].changes.depthMap, depthMap);
+    assert.deepEqual(saved.frames[0].image.data, image.data);
+  });
+
+  it("stops recording when full", () => {
+    const [image] = createInputs(1);
+    const session = createSession({maxBytes: image.data.byteLength * 2});
+    const results = [0, 1, 2].map((index) =>
+      recordSessionFrame(session, image, AGE_PRESETS.adult, {
+        ...SETTINGS,
+        frameTimeMs: index * FRAME_MS,
+      })
+    );
+    assert.deepEqual(results, [true, true, false]);
+    assert.equal(session.frames.length, 2);
+  });
+
+  it("rejects files that are not sessions", async () => {
+    await assert.rejects(
+      decodeSession(Uint8Array.from([1, 2, 3])),
+      /Not a session file/
+    );
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Stage registry: built-in stage declarations and stages added by modules
+ */
+
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {AGE_PRESETS} from "../vision.js";
+import {PROFILE_FIELDS, getProfileField} from "../profiles.js";
+import {getConditionPreset} from "../conditions.js";
+import {
+  PIPELINE_STAGES,
+  registerStage,
+  getStageParams,
+  createPipelineState,
+  runImagePipeline,
+} from "../pipeline.js";
+import {createSolidImage} from "./helpers.js";
+
+// Profile fields read outside the stages: acuity is only shown in the
+// labels, and the binocular fields are read when the two eyes are combined
+const NON_STAGE_FIELDS = [
+  "snellenDenominator",
+  "interpupillaryDistanceCm",
+  "vergenceErrorDeg",
+  "interocularSuppression",
+  "stereoFusion",
+];
+
+const BUILT_IN_IDS = [
+  "condition",
+  "focus",
+  "frequency",
+  "color",
+  "infantColor",
+  "optical",
+  "field",
+  "neural",
+  "temporal",
+];
+
+/**
+ * Stage that sets red to params.level and counts its frames in its state
+ */
+function createTestStage(overrides = {}) {
+  return {
+    id: "tint",
+    label: "Tint",
+    order: 460,
+    presetFields: [],
+    params: [{key: "level", label: "Level", min: 0, max: 1, defaultValue: 0.5}],
+    createState: () => ({frames: 0}),
+    apply: (frame, preset, settings, state, params) => {
+      state.frames++;
+      for (let i = 0; i < frame.data.length; i += 4) {
+        frame.data[i] = params.level;
+      }
+      return frame;
+    },
+    ...overrides,
+  };
+}
+
+describe("stage registry", () => {
+  it("holds the built-in stages in processing order", () => {
+    assert.deepEqual(
+      PIPELINE_STAGES.map((stage) => stage.id),
+      BUILT_IN_IDS
+    );
+  });
+
+  it("declares only preset fields that exist", () => {
+    const preset = getConditionPreset(AGE_PRESETS[1], {cataract: 0.5});
+    PIPELINE_STAGES.forEach((stage) => {
+      stage.presetFields.forEach((field) => {
+        assert.notEqual(
+          getProfileField(preset, field),
+          undefined,
+          `${stage.id} reads unknown field ${field}`
+        );
+      });
+    });
+  });
+
+  it("reads every profile field the editor offers", () => {
+    const read = PIPELINE_STAGES.flatMap((stage) => stage.presetFields);
+    PROFILE_FIELDS.forEach(({key}) => {
+      if (NON_STAGE_FIELDS.includes(key)) return;
+      assert.ok(
+        read.includes(key) || read.includes(key.split(".")[0]),
+        `no stage reads ${key}`
+      );
+    });
+  });
+
+  it("rejects invalid stages", () => {
+    assert.throws(
+      () => registerStage(createTestStage({id: "focus"})),
+      /already registered/
+    );
+    assert.throws(
+      () => registerStage(createTestStage({apply: null})),
+      /apply must be a function/
+    );
+    assert.throws(
+      () =>
+        registerStage(
+          createTestStage({
+            params: [{key: "amount", min: 0, max: 1, defaultValue: 2}],
+          })
+        ),
+      /defaultValue must be between min and max/
+    );
+    assert.equal(PIPELINE_STAGES.length, BUILT_IN_IDS.length);
+  });
+
+  it("runs an added stage at its order with its params and state", () => {
+    const stage = registerStage(createTestStage());
+    assert.equal(PIPELINE_STAGES.indexOf(stage), 5, "after infant color");
+
+    const settings = {
+      enabledStages: {tint: true},
+      stageParams: {tint: {level: 1}},
+    };
+    const state = createPipelineState();
+    const image = createSolidImage(2, 2, [100, 100, 100]);
+    runImagePipeline(image, AGE_PRESETS.adult, settings, state);
+    runImagePipeline(image, AGE_PRESETS.adult, settings, state);
+
+    assert.equal(image.data[0], 255);
+    assert.equal(image.data[1], 100);
+    assert.deepEqual(state.tint, {frames: 2});
+  });
+
+  it("falls back to default params", () => {
+    const stage = PIPELINE_STAGES.find(({id}) => id === "tint");
+    assert.deepEqual(getStageParams(stage), {level: 0.5});
+    assert.deepEqual(
+      getStageParams(stage, {stageParams: {tint: {level: 500}}}),
+      {level: 0.5}
+    );
+  });
+});
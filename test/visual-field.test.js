@@ -0,0 +1,117 @@
+/**
+ * Visual field stage: vignette falloff and the foveated blur
+ */
+
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+  AGE_PRESETS,
+  estimatePixelsPerDegree,
+  getPeripheralCutoff,
+  applyPeripheralVision,
+  applyVisualField,
+} from "../vision.js";
+import {createSolidImage, processImage} from "./helpers.js";
+
+const WIDTH = 320;
+const HEIGHT = 180;
+const WHITE = [255, 255, 255];
+
+const INFANT_PRESETS = Object.entries(AGE_PRESETS)
+  .filter(([key]) => !Number.isNaN(Number(key)))
+  .map(([, preset]) => preset);
+
+/**
+ * Brightness left by the vignette along the row through the fixation point,
+ * as a fraction of white, from the center outwards
+ */
+function measureVignetteRow(preset, options = {}) {
+  const image = createSolidImage(WIDTH, HEIGHT, WHITE);
+  processImage(image, (frame) => applyPeripheralVision(frame, preset, options));
+  const y = HEIGHT / 2;
+  const levels = [];
+  for (let x = WIDTH / 2; x < WIDTH; x++) {
+    levels.push(image.data[(y * WIDTH + x) * 4] / 255);
+  }
+  return levels;
+}
+
+describe("vignette", () => {
+  INFANT_PRESETS.forEach((preset) => {
+    it(`falls off from the central field for ${preset.label}`, () => {
+      const levels = measureVignetteRow(preset);
+      const ppd = estimatePixelsPerDegree(WIDTH, HEIGHT);
+      const innerRadiusPx = Math.floor(
+        0.5 * preset.centralFieldRadiusDeg * ppd
+      );
+
+      assert.equal(levels[0], 1, "the fixation point stays at full brightness");
+      levels.slice(0, innerRadiusPx).forEach((level, r) => {
+        assert.equal(level, 1, `darkened ${r} px from fixation`);
+      });
+      levels.slice(1).forEach((level, r) => {
+        assert.ok(level <= levels[r] + 1 / 255, `brightens at ${r + 1} px`);
+      });
+    });
+
+    it(`reaches the suppression level in the corners for ${preset.label}`, () => {
+      const image = createSolidImage(WIDTH, HEIGHT, WHITE);
+      processImage(image, (frame) => applyPeripheralVision(frame, preset));
+      const corner = image.data[0] / 255;
+      const expected = 1 - preset.peripheralSuppression;
+      assert.ok(
+        Math.abs(corner - expected) <= 0.02,
+        `corner ${corner.toFixed(3)}, expected ${expected.toFixed(3)}`
+      );
+    });
+  });
+
+  it("follows the fixation point", () => {
+    const preset = AGE_PRESETS[0];
+    const image = createSolidImage(WIDTH, HEIGHT, WHITE);
+    processImage(image, (frame) =>
+      applyPeripheralVision(frame, preset, {fixation: {x: 0.1, y: 0.5}})
+    );
+    const left = image.data[((HEIGHT / 2) * WIDTH + 10) * 4];
+    const right = image.data[((HEIGHT / 2) * WIDTH + WIDTH - 10) * 4];
+    assert.ok(left > right, `left ${left}, right ${right}`);
+  });
+
+  it("is off unless peripheral darkening is asked for", () => {
+    INFANT_PRESETS.forEach((preset) => {
+      const image = createSolidImage(WIDTH, HEIGHT, WHITE);
+      processImage(image, (frame) => applyVisualField(frame, preset));
+      assert.ok(
+        image.data.every((value) => value === 255),
+        `${preset.label} darkened a white field`
+      );
+    });
+
+    const image = createSolidImage(WIDTH, HEIGHT, WHITE);
+    processImage(image, (frame) =>
+      applyVisualField(frame, AGE_PRESETS[0], {peripheralDarkening: true})
+    );
+    assert.ok(image.data[0] < 255, "darkening left the corner white");
+  });
+});
+
+describe("peripheral acuity", () => {
+  INFANT_PRESETS.forEach((preset) => {
+    it(`holds in the central field and falls beyond it for ${preset.label}`, () => {
+      const central = preset.centralFieldRadiusDeg;
+      assert.equal(getPeripheralCutoff(0, preset), preset.spatialCutoffCPD);
+      assert.equal(
+        getPeripheralCutoff(central, preset),
+        preset.spatialCutoffCPD
+      );
+      const beyond = getPeripheralCutoff(
+        central + preset.peripheralFalloffDeg,
+        preset
+      );
+      assert.ok(
+        Math.abs(beyond - preset.spatialCutoffCPD / 2) < 1e-9,
+        `cutoff ${beyond} one falloff beyond the central field`
+      );
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Canvas adapters for vision.js
+ * Read pixels from a 2D context (DOM canvas or OffscreenCanvas), run the
+ * frame-based model on them and write the result back. Each call decodes and
+ * encodes the pixels, so chains of stages should share one frame instead
+ * (see runFramePipeline in pipeline.js).
+ */
+
+import * as vision from "./vision.js";
+
+function withImageData(ctx, width, height, process) {
+  const imageData = ctx.getImageData(0, 0, width, height);
+  process(imageData);
+  ctx.putImageData(imageData, 0, 0);
+}
+
+/**
+ * Like withImageData, but process gets the pixels as a linear-light frame
+ */
+function withFrame(ctx, width, height, process) {
+  withImageData(ctx, width, height, (imageData) => {
+    const frame = vision.decodeFrame(imageData);
+    process(frame);
+    vision.encodeFrame(frame, imageData);
+  });
+}
+
+function applyInfantColorVision(ctx, width, height, preset) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyInfantColorVision(frame, preset)
+  );
+}
+
+function applyPeripheralVision(ctx, width, height, preset, options) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyPeripheralVision(frame, preset, options)
+  );
+}
+
+function applyFoveation(ctx, width, height, preset, options) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyFoveation(frame, preset, options)
+  );
+}
+
+function applyVisualField(ctx, width, height, preset, options) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyVisualField(frame, preset, options)
+  );
+}
+
+function applySpatialFrequencyFilter(ctx, width, height, preset, options) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applySpatialFrequencyFilter(frame, preset, options)
+  );
+}
+
+function applyDefocus(ctx, width, height, preset, options) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyDefocus(frame, preset, options)
+  );
+}
+
+function applyLMSColorProcessing(ctx, width, height, preset) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyLMSColorProcessing(frame, preset)
+  );
+}
+
+function applyOpticalEffects(ctx, width, height, preset, options) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyOpticalEffects(frame, preset, options)
+  );
+}
+
+function applyNeuralEffects(ctx, width, height, preset, random) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyNeuralEffects(frame, preset, random)
+  );
+}
+
+function applyTemporalIntegration(ctx, width, height, preset, state, nowMs) {
+  withFrame(ctx, width, height, (frame) =>
+    vision.applyTemporalIntegration(frame, preset, state, nowMs)
+  );
+}
+
+export {
+  withImageData,
+  withFrame,
+  applyInfantColorVision,
+  applyPeripheralVision,
+  applyFoveation,
+  applyVisualField,
+  applySpatialFrequencyFilter,
+  applyDefocus,
+  applyLMSColorProcessing,
+  applyOpticalEffects,
+  applyNeuralEffects,
+  applyTemporalIntegration,
+};
@@ -1,12 +1,31 @@
 /**
  * Baby Vision Processing Module
  * Contains all vision-specific constants, presets, and processing functions
+ *
+ * Every stage works in place on a linear-light frame: {width, height, data:
+ * Float32Array} holding RGBA in 0..1, alpha always 1. A frame is decoded from
+ * an 8-bit sRGB image buffer shaped like ImageData ({width, height, data:
+ * Uint8ClampedArray}) once, passed through every stage, and encoded back once
+ * at the end, both through lookup tables. Nothing here touches the DOM, so
+ * the same model runs in the browser, in a worker and in Node:
+ *
+ *   import {AGE_PRESETS, decodeFrame, encodeFrame,
+ *     applySpatialFrequencyFilter} from "./vision.js";
+ *   const frame = decodeFrame(image);
+ *   applySpatialFrequencyFilter(frame, AGE_PRESETS[2]);
+ *   encodeFrame(frame, image);
+ *
+ * Stages that convert degrees to pixels take {hfovDeg} in their options:
+ * the horizontal field of view the image spans (DEFAULT_CAMERA_HFOV_DEG).
+ *
+ * Canvas adapters for these functions live in vision-canvas.js.
  */
 
 /**
  * Utility functions and scientific helpers
  */
 const DEFAULT_CAMERA_HFOV_DEG = 60; // typical front camera horizontal FOV
+const DEFAULT_FIXATION = {x: 0.5, y: 0.5}; // frame center, as fractions
 
 function degToRad(deg) {
   return (deg * Math.PI) / 180;
@@ -40,10 +59,81 @@ function linearToSrgb(v) {
   return v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
 }
 
+// Linear value of each 8-bit sRGB level
+const SRGB_BYTE_TO_LINEAR = Float32Array.from({length: 256}, (_, v) =>
+  srgbToLinear(v / 255)
+);
+
 function clamp01(v) {
   return v < 0 ? 0 : v > 1 ? 1 : v;
 }
 
+// 8-bit sRGB level of each 1/65535 step of linear light; fine enough that
+// every level decoded with SRGB_BYTE_TO_LINEAR encodes back to itself
+const LINEAR_TO_SRGB_STEPS = 65535;
+const LINEAR_TO_SRGB_BYTE = Uint8ClampedArray.from(
+  {length: LINEAR_TO_SRGB_STEPS + 1},
+  (_, step) => Math.round(linearToSrgb(step / LINEAR_TO_SRGB_STEPS) * 255)
+);
+
+// Allocate an opaque black RGBA buffer
+function createImageBuffer(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  return {width, height, data};
+}
+
+// Allocate an opaque black linear-light frame
+function createFrame(width, height) {
+  const data = new Float32Array(width * height * 4);
+  for (let i = 3; i < data.length; i += 4) data[i] = 1;
+  return {width, height, data};
+}
+
+/**
+ * Linear-light frame from an 8-bit sRGB image buffer, written into frame
+ * when given (same size) instead of a new one
+ */
+function decodeFrame(image, frame = createFrame(image.width, image.height)) {
+  const source = image.data;
+  const data = frame.data;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = SRGB_BYTE_TO_LINEAR[source[i]];
+    data[i + 1] = SRGB_BYTE_TO_LINEAR[source[i + 1]];
+    data[i + 2] = SRGB_BYTE_TO_LINEAR[source[i + 2]];
+  }
+  return frame;
+}
+
+/**
+ * Opaque 8-bit sRGB image buffer from a linear-light frame, clamped to 0..1,
+ * written into image when given (same size, ImageData works) instead of a
+ * new one
+ */
+function encodeFrame(
+  frame,
+  image = createImageBuffer(frame.width, frame.height)
+) {
+  const source = frame.data;
+  const data = image.data;
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const v = source[i + c];
+      // NaN falls to black with the negatives
+      data[i + c] =
+        LINEAR_TO_SRGB_BYTE[
+          v >= 1
+            ? LINEAR_TO_SRGB_STEPS
+            : v > 0
+            ? (v * LINEAR_TO_SRGB_STEPS + 0.5) | 0
+            : 0
+        ];
+    }
+    data[i + 3] = 255;
+  }
+  return image;
+}
+
 /**
  * Scientific constants for vision modeling
  */
@@ -59,8 +149,45 @@ const VISION_CONSTANTS = {
   CONE_DENSITY_1_MONTH: 0.25,
   CONE_DENSITY_2_MONTH: 0.4,
   CONE_DENSITY_3_MONTH: 0.55,
+  // Accommodation (diopters): infants rest focus near 25 cm and gain range
+  // towards an adult's infinity-to-10 cm as accommodationRange approaches 1
+  RESTING_FOCUS_D: 4,
+  ADULT_NEAR_POINT_D: 10,
+  // Depth maps: white is DEPTH_MAP_NEAR_CM, black DEPTH_MAP_FAR_CM, linear in diopters
+  DEPTH_MAP_NEAR_CM: 20,
+  DEPTH_MAP_FAR_CM: 500,
 };
 
+// Defocus and foveated blur are skipped below, and capped at, these sigmas
+const MIN_BLUR_SIGMA_PX = 0.5;
+const MAX_BLUR_SIGMA_PX = 16;
+
+// Gaussian blurs from this sigma up are approximated by repeated box blurs
+const BOX_BLUR_MIN_SIGMA_PX = 4;
+
+// Gaussian sigma x cutoff frequency giving 10% modulation at the cutoff:
+// sqrt(ln 10 / 2) / pi
+const FOVEATION_SIGMA_CYCLES = Math.sqrt(Math.LN10 / 2) / Math.PI;
+
+// Temporal filtering restarts after a pause longer than this
+const TEMPORAL_RESET_GAP_MS = 1000;
+
+// Photoreceptor noise spread (linear light) at full luminance per unit of
+// photoreceptorNoise; at 1, mid-gray moves by up to about 7 sRGB levels
+const PHOTORECEPTOR_NOISE_SCALE = 0.054;
+
+// Noise seed when none is given, so the same input always gives the same
+// output
+const DEFAULT_RANDOM_SEED = 1;
+
+// CSF filtering: opponent-channel acuity relative to luminance acuity, the
+// largest FFT side, the luminance floor (linear) for local band contrast, and
+// where the luminance roll-off to the spatial cutoff starts
+const CHROMA_CUTOFF_RATIO = 0.5;
+const CSF_MAX_FFT_SIZE = 512;
+const CSF_MIN_MEAN_LUMINANCE = 0.01;
+const CSF_TAPER_START = 0.85;
+
 /**
  * LMS to RGB conversion matrix (Hunt-Pointer-Estevez)
  * For simulating cone responses
@@ -79,11 +206,48 @@ const RGB_TO_LMS = [
 
 /**
  * Enhanced age presets with scientific parameters
+ * Numeric keys are ages in months; they are the anchors of the continuous
+ * age model (see getPresetForAge). "adult" is a standalone reference profile.
  */
 const AGE_PRESETS = {
+  0: {
+    label: "Newborn",
+    snellenDenominator: 600,
+    spatialCutoffCPD: 1.0,
+    peakSensitivityCPD: 0.3,
+    contrastSensitivityPeak: 5,
+    contrastSlope: 0.6,
+    temporalIntegrationMs: 250,
+    criticalFlickerHz: VISION_CONSTANTS.CFF_1_MONTH, // no newborn data; 1-month value
+    coneSensitivity: {
+      L: 0.5,
+      M: 0.3,
+      S: 0.05,
+    },
+    pupilDiameterMm: 2.2,
+    scatteringFactor: 0.35,
+    accommodationRange: 0.1,
+    refractiveErrorD: 0,
+    chromaticAberrationPx: 1.8,
+    centralFieldRadiusDeg: 8,
+    peripheralFalloffDeg: 4,
+    peripheralSuppression: 0.8,
+    lateralInhibition: 0.2,
+    photoreceptorNoise: 0.1,
+    coneAdaptation: 0.8,
+    achromaticWeight: 1,
+    blueCapWeight: 1,
+    interpupillaryDistanceCm: 3.9,
+    vergenceErrorDeg: 3,
+    interocularSuppression: 0.3,
+    stereoFusion: 0,
+    description:
+      "Visual acuity ~20/600 (1.0 cpd cutoff). Sees light, dark and bold edges. Color vision largely absent. Focus fixed near 8-12 inches.",
+  },
   1: {
     label: "1 month",
     // Spatial frequency response (cycles per degree)
+    snellenDenominator: 400, // acuity as 20/x
     spatialCutoffCPD: 1.5,
     peakSensitivityCPD: 0.5,
     // Contrast sensitivity function parameters
@@ -91,6 +255,7 @@ const AGE_PRESETS = {
     contrastSlope: 0.65,
     // Temporal response
     temporalIntegrationMs: 200, // slower processing
+    criticalFlickerHz: VISION_CONSTANTS.CFF_1_MONTH, // flicker fusion, Hz
     // Color vision (relative cone sensitivities)
     coneSensitivity: {
       L: 0.6, // Long wavelength (red)
@@ -101,22 +266,37 @@ const AGE_PRESETS = {
     pupilDiameterMm: 2.5, // smaller pupil
     scatteringFactor: 0.3, // more light scatter
     accommodationRange: 0.2, // poor focus adjustment
+    refractiveErrorD: 0, // spherical error, + hyperopic / - myopic, diopters
+    chromaticAberrationPx: 1.2, // radial color fringe at the border
     // Visual field
     centralFieldRadiusDeg: 10,
+    peripheralFalloffDeg: 5, // acuity halves this far past the central field
     peripheralSuppression: 0.7,
     // Neural factors
     lateralInhibition: 0.3,
     photoreceptorNoise: 0.08,
+    coneAdaptation: 0.867, // von Kries adaptation strength
+    // Color mode: share of the black/white/red newborn look, and how strongly
+    // blue is capped by luminance in the chromatic look
+    achromaticWeight: 1,
+    blueCapWeight: 1,
+    // Binocular vision
+    interpupillaryDistanceCm: 4.0, // sets the disparity between the eyes
+    vergenceErrorDeg: 2, // misalignment of the two lines of sight
+    interocularSuppression: 0.3, // share of the weaker eye that is ignored
+    stereoFusion: 0, // share of the two views fused into one
     description:
       "Visual acuity ~20/400 (1.5 cpd cutoff). Minimal blue cone function. High optical scatter. Best focus at 8-10 inches.",
   },
   2: {
     label: "2 months",
+    snellenDenominator: 150,
     spatialCutoffCPD: 2.5,
     peakSensitivityCPD: 1.0,
     contrastSensitivityPeak: 40,
     contrastSlope: 0.75,
     temporalIntegrationMs: 150,
+    criticalFlickerHz: VISION_CONSTANTS.CFF_2_MONTH,
     coneSensitivity: {
       L: 0.85,
       M: 0.65,
@@ -125,20 +305,32 @@ const AGE_PRESETS = {
     pupilDiameterMm: 3.0,
     scatteringFactor: 0.2,
     accommodationRange: 0.4,
+    refractiveErrorD: 0,
+    chromaticAberrationPx: 0.6,
     centralFieldRadiusDeg: 15,
+    peripheralFalloffDeg: 6,
     peripheralSuppression: 0.5,
     lateralInhibition: 0.5,
     photoreceptorNoise: 0.05,
+    coneAdaptation: 0.933,
+    achromaticWeight: 0,
+    blueCapWeight: 1,
+    interpupillaryDistanceCm: 4.1,
+    vergenceErrorDeg: 1.2,
+    interocularSuppression: 0.25,
+    stereoFusion: 0.05,
     description:
       "Visual acuity ~20/150 (2.5 cpd). S-cones functional. Contrast sensitivity 4-5x improved. Beginning accommodation.",
   },
   3: {
     label: "3 months",
+    snellenDenominator: 60,
     spatialCutoffCPD: 4.0,
     peakSensitivityCPD: 1.5,
     contrastSensitivityPeak: 60,
     contrastSlope: 0.85,
     temporalIntegrationMs: 100,
+    criticalFlickerHz: VISION_CONSTANTS.CFF_3_MONTH,
     coneSensitivity: {
       L: 0.95,
       M: 0.85,
@@ -147,108 +339,500 @@ const AGE_PRESETS = {
     pupilDiameterMm: 3.5,
     scatteringFactor: 0.1,
     accommodationRange: 0.6,
+    refractiveErrorD: 0,
+    chromaticAberrationPx: 0,
     centralFieldRadiusDeg: 20,
+    peripheralFalloffDeg: 8,
     peripheralSuppression: 0.3,
     lateralInhibition: 0.7,
     photoreceptorNoise: 0.02,
+    coneAdaptation: 1,
+    achromaticWeight: 0,
+    blueCapWeight: 0,
+    interpupillaryDistanceCm: 4.2,
+    vergenceErrorDeg: 0.6,
+    interocularSuppression: 0.15,
+    stereoFusion: 0.3,
     description:
       "Visual acuity 20/60 (4.0 cpd). Good color discrimination. Smooth pursuit tracking. Emerging stereopsis.",
   },
+  4: {
+    label: "4 months",
+    snellenDenominator: 50,
+    spatialCutoffCPD: 5.0,
+    peakSensitivityCPD: 1.8,
+    contrastSensitivityPeak: 70,
+    contrastSlope: 0.9,
+    temporalIntegrationMs: 90,
+    criticalFlickerHz: VISION_CONSTANTS.CFF_ADULT,
+    coneSensitivity: {
+      L: 0.97,
+      M: 0.9,
+      S: 0.78,
+    },
+    pupilDiameterMm: 3.6,
+    scatteringFactor: 0.08,
+    accommodationRange: 0.7,
+    refractiveErrorD: 0,
+    chromaticAberrationPx: 0,
+    centralFieldRadiusDeg: 25,
+    peripheralFalloffDeg: 10,
+    peripheralSuppression: 0.25,
+    lateralInhibition: 0.75,
+    photoreceptorNoise: 0.015,
+    coneAdaptation: 1,
+    achromaticWeight: 0,
+    blueCapWeight: 0,
+    interpupillaryDistanceCm: 4.3,
+    vergenceErrorDeg: 0.3,
+    interocularSuppression: 0.1,
+    stereoFusion: 0.6,
+    description:
+      "Visual acuity ~20/50 (5.0 cpd). Near adult-like color vision. Accurate focusing at most distances. Binocular depth cues developing.",
+  },
+  6: {
+    label: "6 months",
+    snellenDenominator: 40,
+    spatialCutoffCPD: 6.5,
+    peakSensitivityCPD: 2.0,
+    contrastSensitivityPeak: 90,
+    contrastSlope: 0.93,
+    temporalIntegrationMs: 80,
+    criticalFlickerHz: VISION_CONSTANTS.CFF_ADULT,
+    coneSensitivity: {
+      L: 0.98,
+      M: 0.94,
+      S: 0.85,
+    },
+    pupilDiameterMm: 3.8,
+    scatteringFactor: 0.05,
+    accommodationRange: 0.8,
+    refractiveErrorD: 0,
+    chromaticAberrationPx: 0,
+    centralFieldRadiusDeg: 30,
+    peripheralFalloffDeg: 12,
+    peripheralSuppression: 0.15,
+    lateralInhibition: 0.8,
+    photoreceptorNoise: 0.01,
+    coneAdaptation: 1,
+    achromaticWeight: 0,
+    blueCapWeight: 0,
+    interpupillaryDistanceCm: 4.5,
+    vergenceErrorDeg: 0.1,
+    interocularSuppression: 0.05,
+    stereoFusion: 0.85,
+    description:
+      "Visual acuity ~20/40 (6.5 cpd). Stereopsis established. Reaches accurately for objects. Color vision adult-like.",
+  },
+  9: {
+    label: "9 months",
+    snellenDenominator: 30,
+    spatialCutoffCPD: 8.0,
+    peakSensitivityCPD: 2.5,
+    contrastSensitivityPeak: 110,
+    contrastSlope: 0.96,
+    temporalIntegrationMs: 70,
+    criticalFlickerHz: VISION_CONSTANTS.CFF_ADULT,
+    coneSensitivity: {
+      L: 0.99,
+      M: 0.97,
+      S: 0.92,
+    },
+    pupilDiameterMm: 4.0,
+    scatteringFactor: 0.03,
+    accommodationRange: 0.9,
+    refractiveErrorD: 0,
+    chromaticAberrationPx: 0,
+    centralFieldRadiusDeg: 35,
+    peripheralFalloffDeg: 15,
+    peripheralSuppression: 0.1,
+    lateralInhibition: 0.85,
+    photoreceptorNoise: 0.007,
+    coneAdaptation: 1,
+    achromaticWeight: 0,
+    blueCapWeight: 0,
+    interpupillaryDistanceCm: 4.7,
+    vergenceErrorDeg: 0,
+    interocularSuppression: 0,
+    stereoFusion: 0.95,
+    description:
+      "Visual acuity ~20/30 (8.0 cpd). Judges distances well. Good eye-hand coordination. Contrast sensitivity still rising.",
+  },
+  12: {
+    label: "12 months",
+    snellenDenominator: 25,
+    spatialCutoffCPD: 10.0,
+    peakSensitivityCPD: 2.8,
+    contrastSensitivityPeak: 130,
+    contrastSlope: 0.98,
+    temporalIntegrationMs: 60,
+    criticalFlickerHz: VISION_CONSTANTS.CFF_ADULT,
+    coneSensitivity: {
+      L: 1.0,
+      M: 0.99,
+      S: 0.96,
+    },
+    pupilDiameterMm: 4.2,
+    scatteringFactor: 0.02,
+    accommodationRange: 0.95,
+    refractiveErrorD: 0,
+    chromaticAberrationPx: 0,
+    centralFieldRadiusDeg: 40,
+    peripheralFalloffDeg: 18,
+    peripheralSuppression: 0.05,
+    lateralInhibition: 0.9,
+    photoreceptorNoise: 0.005,
+    coneAdaptation: 1,
+    achromaticWeight: 0,
+    blueCapWeight: 0,
+    interpupillaryDistanceCm: 4.8,
+    vergenceErrorDeg: 0,
+    interocularSuppression: 0,
+    stereoFusion: 1,
+    description:
+      "Visual acuity ~20/25 (10.0 cpd). Most visual functions near adult levels. Acuity and contrast sensitivity keep refining through childhood.",
+  },
+  // Adult reference: identity profile, every stage leaves the image untouched
+  adult: {
+    label: "Adult",
+    snellenDenominator: 20,
+    spatialCutoffCPD: 60.0,
+    peakSensitivityCPD: VISION_CONSTANTS.ADULT_PEAK_CPD,
+    contrastSensitivityPeak: 200,
+    contrastSlope: 1,
+    temporalIntegrationMs: 0,
+    criticalFlickerHz: VISION_CONSTANTS.CFF_ADULT,
+    coneSensitivity: {
+      L: 1,
+      M: 1,
+      S: 1,
+    },
+    pupilDiameterMm: 4.5,
+    scatteringFactor: 0,
+    accommodationRange: 1,
+    refractiveErrorD: 0,
+    chromaticAberrationPx: 0,
+    centralFieldRadiusDeg: 90,
+    peripheralFalloffDeg: 20,
+    peripheralSuppression: 0,
+    lateralInhibition: 0,
+    photoreceptorNoise: 0,
+    coneAdaptation: 1,
+    achromaticWeight: 0,
+    blueCapWeight: 0,
+    interpupillaryDistanceCm: 6.3,
+    vergenceErrorDeg: 0,
+    interocularSuppression: 0,
+    stereoFusion: 1,
+    description:
+      "Adult reference (20/20, ~60 cpd). Every stage leaves the image untouched, so this is the unprocessed view for comparison.",
+  },
 };
 
+/**
+ * Continuous age model
+ * Every numeric preset field is interpolated between the month anchors.
+ * Acuity and sensitivity grow roughly exponentially over the first months,
+ * so those fields are interpolated geometrically; the rest linearly.
+ */
+const WEEKS_PER_MONTH = 52 / 12;
+
+const GEOMETRIC_FIELDS = new Set([
+  "snellenDenominator",
+  "spatialCutoffCPD",
+  "peakSensitivityCPD",
+  "contrastSensitivityPeak",
+]);
+
+function getAgeAnchors() {
+  return Object.keys(AGE_PRESETS)
+    .filter((key) => !Number.isNaN(Number(key)))
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((months) => ({
+      weeks: months * WEEKS_PER_MONTH,
+      preset: AGE_PRESETS[months],
+    }));
+}
+
+function interpolateField(key, a, b, t) {
+  if (typeof a === "object") {
+    const result = {};
+    for (const subKey of Object.keys(a)) {
+      result[subKey] = interpolateField(subKey, a[subKey], b[subKey], t);
+    }
+    return result;
+  }
+  if (typeof a !== "number") return t < 0.5 ? a : b;
+  if (GEOMETRIC_FIELDS.has(key) && a > 0 && b > 0) {
+    return a * Math.pow(b / a, t);
+  }
+  return a + (b - a) * t;
+}
+
+function formatSnellen(preset) {
+  const denominator = preset.snellenDenominator;
+  const step = denominator < 100 ? 5 : 10;
+  return `20/${Math.round(denominator / step) * step}`;
+}
+
+function formatAgeLabel(ageWeeks) {
+  if (ageWeeks < 1) return "Newborn";
+  const weeks = Math.round(ageWeeks);
+  if (weeks < 14) return `${weeks} week${weeks === 1 ? "" : "s"}`;
+  const months = Math.round((ageWeeks / WEEKS_PER_MONTH) * 2) / 2;
+  return `${months} months`;
+}
+
+/**
+ * Build a preset for any age in weeks from birth
+ * Ages outside the anchors are clamped to the first/last anchor, and ages
+ * within half a week of an anchor snap to it. A non-numeric age such as
+ * "adult" returns a copy of that standalone profile.
+ */
+function getPresetForAge(ageWeeks) {
+  if (typeof ageWeeks !== "number") {
+    const profile = AGE_PRESETS[ageWeeks];
+    if (!profile) throw new Error(`Unknown age profile: ${ageWeeks}`);
+    return {
+      ...profile,
+      coneSensitivity: {...profile.coneSensitivity},
+      ageWeeks: null,
+    };
+  }
+
+  const anchors = getAgeAnchors();
+  const first = anchors[0];
+  const last = anchors[anchors.length - 1];
+  let weeks = Math.max(first.weeks, Math.min(last.weeks, ageWeeks));
+  const snapped = anchors.find(
+    (anchor) => Math.abs(anchor.weeks - weeks) < 0.5
+  );
+  if (snapped) weeks = snapped.weeks;
+
+  let lower = first;
+  let upper = last;
+  for (let i = 0; i < anchors.length - 1; i++) {
+    if (weeks >= anchors[i].weeks && weeks <= anchors[i + 1].weeks) {
+      lower = anchors[i];
+      upper = anchors[i + 1];
+      break;
+    }
+  }
+
+  const span = upper.weeks - lower.weeks;
+  const t = span > 0 ? (weeks - lower.weeks) / span : 0;
+  const preset = {};
+  for (const key of Object.keys(lower.preset)) {
+    preset[key] = interpolateField(
+      key,
+      lower.preset[key],
+      upper.preset[key],
+      t
+    );
+  }
+
+  // Anchors keep their own wording; in-between ages describe the blend
+  if (snapped) {
+    preset.label = snapped.preset.label;
+    preset.description = snapped.preset.description;
+  } else {
+    preset.label = formatAgeLabel(weeks);
+    preset.description = `Between the ${lower.preset.label} and ${
+      upper.preset.label
+    } stages. Visual acuity ~${formatSnellen(
+      preset
+    )} (${preset.spatialCutoffCPD.toFixed(1)} cpd).`;
+  }
+  preset.ageWeeks = weeks;
+
+  return preset;
+}
+
 /**
  * Apply infant color vision (black/white/red dominance)
  * Based on cone development: L-cones first, M-cones gradual, S-cones last
  */
-function applyInfantColorVision(ctx, width, height, preset, selectedAge) {
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
+function applyInfantColorVision(image, preset) {
+  const data = image.data;
+  const {L, M, S} = preset.coneSensitivity;
+  const achromatic = clamp01(preset.achromaticWeight);
+  const blueCap = clamp01(preset.blueCapWeight);
 
   for (let i = 0; i < data.length; i += 4) {
-    // normalize and linearize
-    const rS = data[i] / 255;
-    const gS = data[i + 1] / 255;
-    const bS = data[i + 2] / 255;
-    const rL = srgbToLinear(rS);
-    const gL = srgbToLinear(gS);
-    const bL = srgbToLinear(bS);
+    const rL = data[i];
+    const gL = data[i + 1];
+    const bL = data[i + 2];
 
     // Linear luminance (Rec.709)
     const luminance = 0.2126 * rL + 0.7152 * gL + 0.0722 * bL;
 
-    if (selectedAge === 1) {
-      // 1 month: Primarily black/white with strong red preference
-      // Almost no blue/green discrimination
-      const redStrength = rL * preset.coneSensitivity.L;
-      const desaturated = luminance * 0.85;
-
-      const outR = clamp01(desaturated + redStrength * 0.25);
-      const outG = clamp01(desaturated * preset.coneSensitivity.M);
-      const outB = clamp01(desaturated * preset.coneSensitivity.S);
-
-      data[i] = Math.round(linearToSrgb(outR) * 255);
-      data[i + 1] = Math.round(linearToSrgb(outG) * 255);
-      data[i + 2] = Math.round(linearToSrgb(outB) * 255);
-    } else if (selectedAge === 2) {
-      // 2 months: Red/green developing, blue still very limited
-      const outR = clamp01(rL * preset.coneSensitivity.L);
-      const outG = clamp01(gL * preset.coneSensitivity.M);
-      const outB = clamp01(
-        Math.min(bL * preset.coneSensitivity.S, luminance * 0.3)
-      );
+    // Newborn look: primarily black/white with strong red preference,
+    // almost no blue/green discrimination
+    const redStrength = rL * L;
+    const desaturated = luminance * 0.85;
+    const monoR = desaturated + redStrength * 0.25;
+    const monoG = desaturated * M;
+    const monoB = desaturated * S;
+
+    // Chromatic look: cones scaled by sensitivity, blue held back by
+    // luminance while S-cones are still developing
+    const blue = bL * S;
+    const cappedBlue = Math.min(blue, luminance * 0.3);
+    const chromaR = rL * L;
+    const chromaG = gL * M;
+    const chromaB = blue + (cappedBlue - blue) * blueCap;
+
+    data[i] = clamp01(chromaR + (monoR - chromaR) * achromatic);
+    data[i + 1] = clamp01(chromaG + (monoG - chromaG) * achromatic);
+    data[i + 2] = clamp01(chromaB + (monoB - chromaB) * achromatic);
+  }
 
-      data[i] = Math.round(linearToSrgb(outR) * 255);
-      data[i + 1] = Math.round(linearToSrgb(outG) * 255);
-      data[i + 2] = Math.round(linearToSrgb(outB) * 255);
-    } else {
-      // 3 months: More adult-like but still limited
-      const outR = clamp01(rL * preset.coneSensitivity.L);
-      const outG = clamp01(gL * preset.coneSensitivity.M);
-      const outB = clamp01(bL * preset.coneSensitivity.S);
+  return image;
+}
 
-      data[i] = Math.round(linearToSrgb(outR) * 255);
-      data[i + 1] = Math.round(linearToSrgb(outG) * 255);
-      data[i + 2] = Math.round(linearToSrgb(outB) * 255);
-    }
-  }
+/**
+ * Fixation point in pixels
+ * fixation: {x, y} as fractions of the width and height, default the center
+ */
+function getFixationPoint(width, height, fixation = DEFAULT_FIXATION) {
+  return {x: fixation.x * width, y: fixation.y * height};
+}
 
-  ctx.putImageData(imageData, 0, 0);
+/**
+ * Bilinear sample of channel c at (x, y), clamped at the edges
+ */
+function sampleBilinear(data, width, height, x, y, c) {
+  const cx = Math.max(0, Math.min(width - 1, x));
+  const cy = Math.max(0, Math.min(height - 1, y));
+  const x0 = Math.floor(cx);
+  const y0 = Math.floor(cy);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const fx = cx - x0;
+  const fy = cy - y0;
+  const top =
+    data[(y0 * width + x0) * 4 + c] * (1 - fx) +
+    data[(y0 * width + x1) * 4 + c] * fx;
+  const bottom =
+    data[(y1 * width + x0) * 4 + c] * (1 - fx) +
+    data[(y1 * width + x1) * 4 + c] * fx;
+  return top + (bottom - top) * fy;
 }
 
 /**
  * Apply peripheral vision limitation (vignette effect)
+ * Centered on options.fixation, the point the baby is looking at
  */
-function applyPeripheralVision(ctx, width, height, preset) {
-  const centerX = width / 2;
-  const centerY = height / 2;
-  const ppd = estimatePixelsPerDegree(width, height);
+function applyPeripheralVision(image, preset, options = {}) {
+  const {width, height, data} = image;
+  const {x: centerX, y: centerY} = getFixationPoint(
+    width,
+    height,
+    options.fixation
+  );
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
   const centralRadiusPx = Math.max(1, preset.centralFieldRadiusDeg * ppd);
   const maxRadiusPx = Math.hypot(width, height) * 0.5;
 
-  ctx.save();
-  ctx.globalCompositeOperation = "multiply";
-
-  const gradient = ctx.createRadialGradient(
-    centerX,
-    centerY,
-    Math.max(1, centralRadiusPx * 0.5),
-    centerX,
-    centerY,
-    Math.max(centralRadiusPx, maxRadiusPx)
+  // Radial gradient from the inner radius to the field edge, with a midpoint
+  // stop, multiplied into the image. The levels scale the sRGB value, so the
+  // table holds them as linear light, one entry per pixel of radius.
+  const innerRadius = Math.max(1, centralRadiusPx * 0.5);
+  const outerRadius = Math.max(centralRadiusPx, maxRadiusPx);
+  const span = Math.max(1e-6, outerRadius - innerRadius);
+  const midLevel = 1 - preset.peripheralSuppression * 0.4;
+  const edgeLevel = 1 - preset.peripheralSuppression;
+
+  const levelByRadius = new Float32Array(
+    Math.ceil(Math.hypot(width, height)) + 1
   );
-  gradient.addColorStop(0, "rgba(255,255,255,1)");
-  gradient.addColorStop(
-    0.5,
-    `rgba(255,255,255,${1 - preset.peripheralSuppression * 0.4})`
+  for (let r = 0; r < levelByRadius.length; r++) {
+    const t = clamp01((r - innerRadius) / span);
+    levelByRadius[r] = srgbToLinear(
+      t < 0.5
+        ? 1 + (midLevel - 1) * (t / 0.5)
+        : midLevel + (edgeLevel - midLevel) * ((t - 0.5) / 0.5)
+    );
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const r = Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY);
+      const level =
+        levelByRadius[Math.min(levelByRadius.length - 1, Math.round(r))];
+
+      const idx = (y * width + x) * 4;
+      data[idx] *= level;
+      data[idx + 1] *= level;
+      data[idx + 2] *= level;
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Spatial cutoff (cpd) at an eccentricity from fixation
+ * Full acuity within the central field, then falling as 1 / (1 + e / E2)
+ * with E2 = peripheralFalloffDeg
+ */
+function getPeripheralCutoff(eccentricityDeg, preset) {
+  const beyond = Math.max(0, eccentricityDeg - preset.centralFieldRadiusDeg);
+  return preset.spatialCutoffCPD / (1 + beyond / preset.peripheralFalloffDeg);
+}
+
+/**
+ * Gaussian sigma (degrees) that takes an image already limited to the
+ * central cutoff down to the cutoff at eccentricityDeg
+ */
+function getFoveationBlurDeg(eccentricityDeg, preset) {
+  const central = preset.spatialCutoffCPD;
+  const cutoff = getPeripheralCutoff(eccentricityDeg, preset);
+  if (cutoff >= central) return 0;
+  return (
+    FOVEATION_SIGMA_CYCLES *
+    Math.sqrt(1 / (cutoff * cutoff) - 1 / (central * central))
   );
-  gradient.addColorStop(
-    1,
-    `rgba(255,255,255,${1 - preset.peripheralSuppression})`
+}
+
+/**
+ * Foveated blur: resolution drops with distance from options.fixation
+ */
+function applyFoveation(image, preset, options = {}) {
+  const {width, height} = image;
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+  const {x: centerX, y: centerY} = getFixationPoint(
+    width,
+    height,
+    options.fixation
   );
 
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, width, height);
-  ctx.restore();
+  const sigmaMap = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const eccentricityDeg =
+        Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY) / ppd;
+      sigmaMap[y * width + x] = Math.min(
+        MAX_BLUR_SIGMA_PX,
+        getFoveationBlurDeg(eccentricityDeg, preset) * ppd
+      );
+    }
+  }
+
+  return blendBlurStack(image, sigmaMap);
+}
+
+/**
+ * Visual field stage: foveated blur around the fixation point, plus the
+ * darkening vignette when options.peripheralDarkening is set
+ */
+function applyVisualField(image, preset, options = {}) {
+  applyFoveation(image, preset, options);
+  if (!options.peripheralDarkening || preset.peripheralSuppression <= 0) {
+    return image;
+  }
+  return applyPeripheralVision(image, preset, options);
 }
 
 /**
@@ -331,73 +915,777 @@ function applyKernelPixel(
   output[idx] = r / weightSum;
   output[idx + 1] = g / weightSum;
   output[idx + 2] = b / weightSum;
-  output[idx + 3] = 255;
+  output[idx + 3] = 1;
+}
+
+/**
+ * Separable convolution of a frame's RGBA data with a 1D kernel
+ */
+function convolveSeparable(input, width, height, kernel) {
+  const temp = new Float32Array(input.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      applyKernelPixel(input, temp, width, height, x, y, kernel, true);
+    }
+  }
+  const output = new Float32Array(input.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      applyKernelPixel(temp, output, width, height, x, y, kernel, false);
+    }
+  }
+  return output;
 }
 
 /**
- * Apply spatial frequency filtering using separable convolution
- * Simulates the contrast sensitivity function
+ * Gaussian blur of a frame's RGBA data; wide sigmas use three box blurs of the
+ * same variance, whose cost does not grow with the radius
  */
-function applySpatialFrequencyFilter(ctx, width, height, preset) {
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
-  const output = new Uint8ClampedArray(data.length);
+function blurRgba(data, width, height, sigma) {
+  if (sigma < BOX_BLUR_MIN_SIGMA_PX) {
+    return convolveSeparable(
+      data,
+      width,
+      height,
+      generateGaussianKernel1D(sigma)
+    );
+  }
 
-  // Compute Gaussian sigma from cutoff CPD and PPD using -3 dB relation
-  const ppd = estimatePixelsPerDegree(width, height);
-  const cutoffCpd = Math.max(0.5, preset.spatialCutoffCPD);
-  const cutoffCyclesPerPixel = cutoffCpd / ppd;
-  const sigmaPx = Math.max(
-    0.5,
-    Math.sqrt(Math.log(2)) / (2 * Math.PI * cutoffCyclesPerPixel)
+  // Three boxes of width w have variance 3 (w^2 - 1) / 12
+  const radius = Math.max(
+    1,
+    Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2)
   );
-  const kernel = generateGaussianKernel1D(sigmaPx);
+  const output = Float32Array.from(data);
+  const channel = new Float32Array(width * height);
+  for (let c = 0; c < 3; c++) {
+    for (let p = 0; p < channel.length; p++) channel[p] = data[p * 4 + c];
+    let blurred = channel;
+    for (let pass = 0; pass < 3; pass++) {
+      blurred = boxBlurChannel(blurred, width, height, radius);
+    }
+    for (let p = 0; p < channel.length; p++) output[p * 4 + c] = blurred[p];
+  }
+  return output;
+}
+
+/**
+ * Spatially varying blur: blur the image at sigma levels 0, 1, 2, 4, ... and
+ * blend the two levels nearest each pixel's sigma from sigmaMap
+ */
+function blendBlurStack(image, sigmaMap) {
+  const {width, height, data} = image;
 
-  // Apply separable Gaussian
-  const temp = new Uint8ClampedArray(data.length);
+  let maxSigma = 0;
+  for (let p = 0; p < sigmaMap.length; p++) {
+    maxSigma = Math.max(maxSigma, sigmaMap[p]);
+  }
+  if (maxSigma < MIN_BLUR_SIGMA_PX) return image;
+
+  const levels = [0];
+  while (levels[levels.length - 1] < maxSigma) {
+    levels.push(Math.max(1, levels[levels.length - 1] * 2));
+  }
+  const stack = levels.map((sigma) =>
+    sigma === 0 ? Float32Array.from(data) : blurRgba(data, width, height, sigma)
+  );
+
+  for (let p = 0; p < sigmaMap.length; p++) {
+    const sigma = sigmaMap[p];
+    let k = 0;
+    while (k < levels.length - 2 && sigma > levels[k + 1]) k++;
+    const t = Math.min(1, (sigma - levels[k]) / (levels[k + 1] - levels[k]));
+    const lower = stack[k];
+    const upper = stack[k + 1];
+    const i = p * 4;
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = lower[i + c] + (upper[i + c] - lower[i + c]) * t;
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Focal range in diopters {nearD, farD} the eye can bring into focus
+ * Refractive error shifts the range: a myopic eye focuses nearer, a
+ * hyperopic eye spends accommodation on its own error (farD below 0)
+ */
+function getFocalRange(preset) {
+  const rest = VISION_CONSTANTS.RESTING_FOCUS_D;
+  const range = clamp01(preset.accommodationRange);
+  const errorD = preset.refractiveErrorD || 0;
+  return {
+    nearD: rest + (VISION_CONSTANTS.ADULT_NEAR_POINT_D - rest) * range - errorD,
+    farD: rest * (1 - range) - errorD,
+  };
+}
+
+/**
+ * Angular diameter (degrees) of the blur circle for an object at distanceD
+ * diopters: pupil diameter times the dioptric distance to the focal range
+ */
+function getDefocusBlurDeg(distanceD, preset) {
+  const {nearD, farD} = getFocalRange(preset);
+  let errorD = 0;
+  if (distanceD > nearD) errorD = distanceD - nearD;
+  if (distanceD < farD) errorD = farD - distanceD;
+  return radToDeg((preset.pupilDiameterMm / 1000) * errorD);
+}
+
+/**
+ * Single-channel depth map {width, height, data: Uint8Array} from an 8-bit RGBA
+ * image, white meaning near (see VISION_CONSTANTS.DEPTH_MAP_*)
+ */
+function createDepthMap(image) {
+  const {width, height, data} = image;
+  const depth = new Uint8Array(width * height);
+  for (let p = 0; p < depth.length; p++) {
+    const i = p * 4;
+    depth[p] = Math.round(
+      0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]
+    );
+  }
+  return {width, height, data: depth};
+}
+
+/**
+ * Distance in diopters of a depth map level, linear from DEPTH_MAP_FAR_CM
+ * (black) to DEPTH_MAP_NEAR_CM (white)
+ */
+function getDepthLevelDiopters(level) {
+  const nearD = 100 / VISION_CONSTANTS.DEPTH_MAP_NEAR_CM;
+  const farD = 100 / VISION_CONSTANTS.DEPTH_MAP_FAR_CM;
+  return farD + ((nearD - farD) * level) / 255;
+}
+
+/**
+ * Blur by defocus: objects outside the focal range get a blur circle that
+ * grows with their dioptric distance from it and with pupil size
+ * options: {hfovDeg, objectDistanceCm, depthMap}; a depth map (any size, it is
+ * stretched over the image) sets the distance per pixel, otherwise the whole
+ * scene sits at objectDistanceCm (default: the resting focus)
+ */
+function applyDefocus(image, preset, options = {}) {
+  const {width, height, data} = image;
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+
+  // Gaussian with the same variance as the blur circle
+  const getSigmaPx = (distanceD) =>
+    Math.min(
+      MAX_BLUR_SIGMA_PX,
+      (getDefocusBlurDeg(distanceD, preset) * ppd) / (2 * Math.SQRT2)
+    );
+
+  const depthMap = options.depthMap;
+  if (!depthMap) {
+    const distanceD =
+      options.objectDistanceCm > 0
+        ? 100 / options.objectDistanceCm
+        : VISION_CONSTANTS.RESTING_FOCUS_D;
+    const sigmaPx = getSigmaPx(distanceD);
+    if (sigmaPx < MIN_BLUR_SIGMA_PX) return image;
+
+    const kernel = generateGaussianKernel1D(sigmaPx);
+    data.set(convolveSeparable(data, width, height, kernel));
+    return image;
+  }
+
+  // Sigma for each of the 256 depth levels
+  const sigmaByLevel = new Float32Array(256);
+  for (let level = 0; level < 256; level++) {
+    sigmaByLevel[level] = getSigmaPx(getDepthLevelDiopters(level));
+  }
+
+  const sigmaMap = new Float32Array(width * height);
   for (let y = 0; y < height; y++) {
+    const dy = Math.min(
+      depthMap.height - 1,
+      Math.floor((y * depthMap.height) / height)
+    );
     for (let x = 0; x < width; x++) {
-      applyKernelPixel(data, temp, width, height, x, y, kernel, true);
+      const dx = Math.min(
+        depthMap.width - 1,
+        Math.floor((x * depthMap.width) / width)
+      );
+      sigmaMap[y * width + x] =
+        sigmaByLevel[depthMap.data[dy * depthMap.width + dx]];
     }
   }
+
+  return blendBlurStack(image, sigmaMap);
+}
+
+/**
+ * Contrast threshold (1 / sensitivity) at a spatial frequency, or 0 where the
+ * adult looking at the screen sees no more than the infant, so nothing there
+ * needs removing
+ */
+function getContrastThreshold(frequencyCPD, preset) {
+  const sensitivity = getContrastSensitivity(frequencyCPD, preset);
+  const reference = getContrastSensitivity(frequencyCPD, AGE_PRESETS.adult);
+  if (sensitivity >= reference) return 0;
+  return sensitivity > 0 ? 1 / sensitivity : Infinity;
+}
+
+/**
+ * Opponent-channel gain: a low-pass at CHROMA_CUTOFF_RATIO of the luminance
+ * cutoff (half amplitude there), relative to the adult's
+ */
+function getChromaGain(frequencyCPD, preset) {
+  const lowpass = (cutoffCPD) =>
+    Math.exp(-Math.LN2 * Math.pow(frequencyCPD / cutoffCPD, 2));
+  return Math.min(
+    1,
+    lowpass(preset.spatialCutoffCPD * CHROMA_CUTOFF_RATIO) /
+      lowpass(AGE_PRESETS.adult.spatialCutoffCPD * CHROMA_CUTOFF_RATIO)
+  );
+}
+
+/**
+ * Whether any frequency up to the image's diagonal Nyquist limit is seen
+ * worse than by the adult reference
+ */
+function needsCsfFilter(preset, width, height, ppd) {
+  const lowest = ppd / Math.max(width, height);
+  const highest = (ppd / 2) * Math.SQRT2;
+  for (let f = lowest; f <= highest; f *= Math.pow(2, 1 / 8)) {
+    if (getContrastThreshold(f, preset) > 0) return true;
+    if (getChromaGain(f, preset) < 1) return true;
+  }
+  return false;
+}
+
+function nextPowerOfTwo(n) {
+  let p = 1;
+  while (p < n) p *= 2;
+  return p;
+}
+
+/**
+ * In-place radix-2 FFT of a complex signal whose length is a power of two
+ */
+function fft1D(re, im, inverse) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let tmp = re[i];
+      re[i] = re[j];
+      re[j] = tmp;
+      tmp = im[i];
+      im[i] = im[j];
+      im[j] = tmp;
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = i + k;
+        const b = a + half;
+        const bRe = re[b] * wRe - im[b] * wIm;
+        const bIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - bRe;
+        im[b] = im[a] - bIm;
+        re[a] += bRe;
+        im[a] += bIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * In-place 2D FFT, rows then columns; both sides powers of two
+ */
+function fft2D(re, im, width, height, inverse) {
+  const rowRe = new Float64Array(width);
+  const rowIm = new Float64Array(width);
   for (let y = 0; y < height; y++) {
+    const offset = y * width;
     for (let x = 0; x < width; x++) {
-      applyKernelPixel(temp, output, width, height, x, y, kernel, false);
+      rowRe[x] = re[offset + x];
+      rowIm[x] = im[offset + x];
+    }
+    fft1D(rowRe, rowIm, inverse);
+    for (let x = 0; x < width; x++) {
+      re[offset + x] = rowRe[x];
+      im[offset + x] = rowIm[x];
+    }
+  }
+
+  const colRe = new Float64Array(height);
+  const colIm = new Float64Array(height);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      colRe[y] = re[y * width + x];
+      colIm[y] = im[y * width + x];
+    }
+    fft1D(colRe, colIm, inverse);
+    for (let y = 0; y < height; y++) {
+      re[y * width + x] = colRe[y];
+      im[y * width + x] = colIm[y];
+    }
+  }
+}
+
+/**
+ * Spectrum of a channel, mirror-padded to powers of two to avoid wrap-around
+ * edges; freqs holds each bin's radial frequency in cycles per degree
+ */
+function getSpectrum(channel, width, height, ppd) {
+  const fftWidth = nextPowerOfTwo(width);
+  const fftHeight = nextPowerOfTwo(height);
+  const re = new Float64Array(fftWidth * fftHeight);
+  const im = new Float64Array(fftWidth * fftHeight);
+
+  const mirror = (i, size) => {
+    const period = 2 * size;
+    const m = i % period;
+    return m < size ? m : period - 1 - m;
+  };
+  for (let y = 0; y < fftHeight; y++) {
+    const sy = mirror(y, height);
+    for (let x = 0; x < fftWidth; x++) {
+      re[y * fftWidth + x] = channel[sy * width + mirror(x, width)];
+    }
+  }
+  fft2D(re, im, fftWidth, fftHeight, false);
+
+  const freqs = new Float32Array(fftWidth * fftHeight);
+  for (let v = 0; v < fftHeight; v++) {
+    const fy = (v <= fftHeight / 2 ? v : v - fftHeight) / fftHeight;
+    for (let u = 0; u < fftWidth; u++) {
+      const fx = (u <= fftWidth / 2 ? u : u - fftWidth) / fftWidth;
+      freqs[v * fftWidth + u] = Math.hypot(fx, fy) * ppd;
+    }
+  }
+
+  return {re, im, freqs, fftWidth, fftHeight};
+}
+
+/**
+ * Channel filtered by weight(frequencyCPD), cropped back to width x height
+ */
+function filterSpectrum(spectrum, width, height, weight) {
+  const {re, im, freqs, fftWidth, fftHeight} = spectrum;
+  const outRe = new Float64Array(re.length);
+  const outIm = new Float64Array(im.length);
+  for (let i = 0; i < re.length; i++) {
+    const w = weight(freqs[i]);
+    outRe[i] = re[i] * w;
+    outIm[i] = im[i] * w;
+  }
+  fft2D(outRe, outIm, fftWidth, fftHeight, true);
+
+  const channel = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      channel[y * width + x] = outRe[y * fftWidth + x];
+    }
+  }
+  return channel;
+}
+
+/**
+ * Box blur with running sums, clamped at the edges
+ */
+function boxBlurChannel(channel, width, height, radius) {
+  const size = 2 * radius + 1;
+  const rows = new Float32Array(channel.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) {
+      sum += channel[row + Math.max(0, Math.min(width - 1, k))];
+    }
+    for (let x = 0; x < width; x++) {
+      rows[row + x] = sum / size;
+      sum +=
+        channel[row + Math.min(width - 1, x + radius + 1)] -
+        channel[row + Math.max(0, x - radius)];
+    }
+  }
+
+  const output = new Float32Array(channel.length);
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) {
+      sum += rows[Math.max(0, Math.min(height - 1, k)) * width + x];
+    }
+    for (let y = 0; y < height; y++) {
+      output[y * width + x] = sum / size;
+      sum +=
+        rows[Math.min(height - 1, y + radius + 1) * width + x] -
+        rows[Math.max(0, y - radius) * width + x];
+    }
+  }
+  return output;
+}
+
+/**
+ * Local amplitude of a band-pass signal: |band| smoothed over about one
+ * period, so a grating gets one gain instead of dropping out at every
+ * zero crossing
+ */
+function getBandEnvelope(band, width, height, periodPx) {
+  const radius = Math.max(1, Math.round(periodPx / 2));
+  const magnitude = band.map(Math.abs);
+  const envelope = boxBlurChannel(
+    boxBlurChannel(magnitude, width, height, radius),
+    width,
+    height,
+    radius
+  );
+  // Mean |sin| is 2 / PI of the amplitude
+  for (let i = 0; i < envelope.length; i++) envelope[i] *= Math.PI / 2;
+  return envelope;
+}
+
+/**
+ * Soft contrast threshold: full gain at the threshold, none below half of it
+ */
+function getThresholdGain(amplitude, meanLuminance, threshold) {
+  if (threshold === 0) return 1;
+  const contrast = amplitude / Math.max(CSF_MIN_MEAN_LUMINANCE, meanLuminance);
+  return clamp01((2 * contrast) / threshold - 1);
+}
+
+/**
+ * Peli-style contrast thresholding of luminance
+ * The spectrum is split into raised-cosine octave bands centred on the
+ * Nyquist frequency and below. Each band's local contrast (band envelope /
+ * luminance of all lower bands) is kept where it exceeds the CSF threshold at
+ * the band centre and faded out below half of it.
+ * Bands are cut off at spatialCutoffCPD, and a band straddling it is judged
+ * at the centre of its part below the cutoff, so the acuity limit does not
+ * move with how the octaves happen to line up with it.
+ */
+function thresholdLuminanceBands(luminance, width, height, ppd, preset) {
+  const spectrum = getSpectrum(luminance, width, height, ppd);
+  const top = ppd / 2;
+  const cutoff = preset.spatialCutoffCPD;
+  const taperStart = cutoff * CSF_TAPER_START;
+  const visibleWeight = (f) => {
+    if (f <= taperStart) return 1;
+    if (f >= cutoff) return 0;
+    return (
+      0.5 * (1 + Math.cos((Math.PI * (f - taperStart)) / (cutoff - taperStart)))
+    );
+  };
+  const bandCount = Math.max(
+    1,
+    Math.floor(Math.log2(Math.max(spectrum.fftWidth, spectrum.fftHeight) / 2))
+  );
+
+  // Band j is centred at top / 2^j; together with the residual they sum to 1
+  const bandWeight = (f, j) => {
+    if (f <= 0) return 0;
+    const p = Math.log2(top / f) - j;
+    if (j === 0 && p < 0) return 1;
+    return Math.abs(p) < 1 ? 0.5 * (1 + Math.cos(Math.PI * p)) : 0;
+  };
+  const residualWeight = (f) => {
+    let sum = 0;
+    for (let j = Math.max(0, bandCount - 2); j < bandCount; j++) {
+      sum += bandWeight(f, j);
+    }
+    return f <= 0 || Math.log2(top / f) > bandCount - 1 ? 1 - sum : 0;
+  };
+
+  const mean = filterSpectrum(spectrum, width, height, residualWeight);
+  const output = new Float32Array(mean);
+
+  for (let j = bandCount - 1; j >= 0; j--) {
+    const band = filterSpectrum(
+      spectrum,
+      width,
+      height,
+      (f) => bandWeight(f, j) * visibleWeight(f)
+    );
+    // Geometric centre of the band's octave span below the cutoff
+    const center = top / Math.pow(2, j);
+    const visibleTop = Math.min(2 * center, cutoff);
+    const threshold =
+      visibleTop > center / 2
+        ? getContrastThreshold(Math.sqrt((center / 2) * visibleTop), preset)
+        : Infinity;
+    const envelope =
+      threshold > 0 && threshold < Infinity
+        ? getBandEnvelope(band, width, height, Math.pow(2, j + 1))
+        : null;
+
+    for (let i = 0; i < band.length; i++) {
+      if (threshold === 0) {
+        output[i] += band[i];
+      } else if (envelope) {
+        output[i] +=
+          band[i] * getThresholdGain(envelope[i], mean[i], threshold);
+      }
+      mean[i] += band[i];
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Halve a channel with a 5-tap binomial low-pass (one Gaussian pyramid level)
+ * so detail above the new Nyquist limit does not alias into it
+ */
+function reduceChannel(channel, width, height) {
+  const taps = [1 / 16, 4 / 16, 6 / 16, 4 / 16, 1 / 16];
+  const outWidth = Math.ceil(width / 2);
+  const outHeight = Math.ceil(height / 2);
+
+  const rows = new Float32Array(outWidth * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      for (let k = -2; k <= 2; k++) {
+        const sx = Math.max(0, Math.min(width - 1, 2 * x + k));
+        sum += channel[y * width + sx] * taps[k + 2];
+      }
+      rows[y * outWidth + x] = sum;
     }
   }
 
+  const output = new Float32Array(outWidth * outHeight);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      for (let k = -2; k <= 2; k++) {
+        const sy = Math.max(0, Math.min(height - 1, 2 * y + k));
+        sum += rows[sy * outWidth + x] * taps[k + 2];
+      }
+      output[y * outWidth + x] = sum;
+    }
+  }
+  return output;
+}
+
+/**
+ * Bilinear resample of a pyramid level back to width x height
+ */
+function upsampleChannel(channel, inWidth, inHeight, width, height, factor) {
+  const output = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const fy = Math.min(inHeight - 1, y / factor);
+    const y0 = Math.floor(fy);
+    const y1 = Math.min(inHeight - 1, y0 + 1);
+    const ty = fy - y0;
+    for (let x = 0; x < width; x++) {
+      const fx = Math.min(inWidth - 1, x / factor);
+      const x0 = Math.floor(fx);
+      const x1 = Math.min(inWidth - 1, x0 + 1);
+      const tx = fx - x0;
+      const top =
+        channel[y0 * inWidth + x0] * (1 - tx) + channel[y0 * inWidth + x1] * tx;
+      const bottom =
+        channel[y1 * inWidth + x0] * (1 - tx) + channel[y1 * inWidth + x1] * tx;
+      output[y * width + x] = top * (1 - ty) + bottom * ty;
+    }
+  }
+  return output;
+}
+
+/**
+ * Apply the preset's contrast sensitivity function in the frequency domain
+ * Luminance goes through CSF contrast thresholding (thresholdLuminanceBands)
+ * and the opponent channels R-Y and B-Y through a lower chromatic low-pass,
+ * both relative to the adult reference so the adult profile is untouched.
+ *
+ * The FFT runs on a pyramid level: halved while the Nyquist limit still clears
+ * the cutoff, and until it is at most CSF_MAX_FFT_SIZE per side. Detail lost
+ * to the size limit is treated as one extra band.
+ */
+function applySpatialFrequencyFilter(image, preset, options = {}) {
+  const {width, height, data} = image;
+  const ppd = estimatePixelsPerDegree(width, height, options.hfovDeg);
+
+  if (needsCsfFilter(preset, width, height, ppd)) {
+    // Step 1: luminance and opponent channels
+    const pixelCount = width * height;
+    const luminance = new Float32Array(pixelCount);
+    const redOpponent = new Float32Array(pixelCount);
+    const blueOpponent = new Float32Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+      const i = p * 4;
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const L = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      luminance[p] = L;
+      redOpponent[p] = r - L;
+      blueOpponent[p] = b - L;
+    }
+
+    // Step 2: filter at the working resolution
+    const nyquist = ppd / 2;
+    let levels = 0;
+    let workWidth = width;
+    let workHeight = height;
+    while (
+      Math.max(workWidth, workHeight) > CSF_MAX_FFT_SIZE ||
+      nyquist / Math.pow(2, levels + 1) >= 2.5 * preset.spatialCutoffCPD
+    ) {
+      levels++;
+      workWidth = Math.ceil(workWidth / 2);
+      workHeight = Math.ceil(workHeight / 2);
+    }
+    const factor = Math.pow(2, levels);
+    const workPpd = ppd / factor;
+
+    // detailGain(detail, mean) returns per-pixel gains for the detail band, or
+    // is null when the detail is dropped entirely
+    const filterChannel = (channel, filterWork, detailGain) => {
+      let work = channel;
+      let levelWidth = width;
+      let levelHeight = height;
+      for (let level = 0; level < levels; level++) {
+        work = reduceChannel(work, levelWidth, levelHeight);
+        levelWidth = Math.ceil(levelWidth / 2);
+        levelHeight = Math.ceil(levelHeight / 2);
+      }
+      const filtered = filterWork(work);
+      const result = upsampleChannel(
+        filtered,
+        workWidth,
+        workHeight,
+        width,
+        height,
+        factor
+      );
+      if (factor === 1 || !detailGain) return result;
+
+      // Step 3: detail above the working Nyquist limit, as a single band
+      const base = upsampleChannel(
+        work,
+        workWidth,
+        workHeight,
+        width,
+        height,
+        factor
+      );
+      const detail = new Float32Array(pixelCount);
+      for (let p = 0; p < pixelCount; p++) detail[p] = channel[p] - base[p];
+      const gains = detailGain(detail, base);
+      for (let p = 0; p < pixelCount; p++) result[p] += detail[p] * gains[p];
+      return result;
+    };
+
+    const detailCPD = Math.sqrt((nyquist / factor) * nyquist);
+    const detailThreshold = getContrastThreshold(detailCPD, preset);
+    const detailChromaGain = getChromaGain(detailCPD, preset);
+
+    const filteredLuminance = filterChannel(
+      luminance,
+      (work) =>
+        thresholdLuminanceBands(work, workWidth, workHeight, workPpd, preset),
+      detailThreshold === Infinity
+        ? null
+        : (detail, mean) => {
+            const envelope = getBandEnvelope(
+              detail,
+              width,
+              height,
+              ppd / detailCPD
+            );
+            return envelope.map((amplitude, p) =>
+              getThresholdGain(amplitude, mean[p], detailThreshold)
+            );
+          }
+    );
+    const [filteredRed, filteredBlue] = [redOpponent, blueOpponent].map(
+      (channel) =>
+        filterChannel(
+          channel,
+          (work) =>
+            filterSpectrum(
+              getSpectrum(work, workWidth, workHeight, workPpd),
+              workWidth,
+              workHeight,
+              (f) => getChromaGain(f, preset)
+            ),
+          detailChromaGain > 0
+            ? () => new Float32Array(pixelCount).fill(detailChromaGain)
+            : null
+        )
+    );
+
+    // Step 4: back to RGB, with the global saturation squeeze below folded
+    // into the opponent channels
+    const slope = clamp01(preset.contrastSlope);
+    for (let p = 0; p < pixelCount; p++) {
+      const i = p * 4;
+      const L = Math.max(0, filteredLuminance[p]);
+      const r = clamp01(L + filteredRed[p] * slope);
+      const b = clamp01(L + filteredBlue[p] * slope);
+      data[i] = r;
+      data[i + 1] = clamp01((L - 0.2126 * r - 0.0722 * b) / 0.7152);
+      data[i + 2] = b;
+    }
+    return image;
+  }
+
   // Global contrast compression to reflect reduced CSF amplitude
   const slope = clamp01(preset.contrastSlope);
-  for (let i = 0; i < output.length; i += 4) {
-    // linearize
-    let r = srgbToLinear(output[i] / 255);
-    let g = srgbToLinear(output[i + 1] / 255);
-    let b = srgbToLinear(output[i + 2] / 255);
+  if (slope >= 1) return image;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
     const L = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-    r = clamp01(L + (r - L) * slope);
-    g = clamp01(L + (g - L) * slope);
-    b = clamp01(L + (b - L) * slope);
-    output[i] = Math.round(linearToSrgb(r) * 255);
-    output[i + 1] = Math.round(linearToSrgb(g) * 255);
-    output[i + 2] = Math.round(linearToSrgb(b) * 255);
+    data[i] = clamp01(L + (r - L) * slope);
+    data[i + 1] = clamp01(L + (g - L) * slope);
+    data[i + 2] = clamp01(L + (b - L) * slope);
   }
 
-  imageData.data.set(output);
-  ctx.putImageData(imageData, 0, 0);
+  return image;
 }
 
 /**
  * Convert RGB to LMS color space and apply cone sensitivity
  */
-function applyLMSColorProcessing(ctx, width, height, preset, selectedAge) {
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
+function applyLMSColorProcessing(image, preset) {
+  const data = image.data;
+  const cones = preset.coneSensitivity;
+
+  // Mature cones with full adaptation leave colors as they are
+  if (
+    cones.L >= 1 &&
+    cones.M >= 1 &&
+    cones.S >= 1 &&
+    preset.coneAdaptation >= 1
+  ) {
+    return image;
+  }
 
   for (let i = 0; i < data.length; i += 4) {
-    // Normalize RGB and convert to linear
-    const r = srgbToLinear(data[i] / 255);
-    const g = srgbToLinear(data[i + 1] / 255);
-    const b = srgbToLinear(data[i + 2] / 255);
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
 
     // Convert to LMS
     let L = RGB_TO_LMS[0][0] * r + RGB_TO_LMS[0][1] * g + RGB_TO_LMS[0][2] * b;
@@ -410,7 +1698,7 @@ function applyLMSColorProcessing(ctx, width, height, preset, selectedAge) {
     S *= preset.coneSensitivity.S;
 
     // Add von Kries adaptation (simplified)
-    const adaptationFactor = 0.8 + (0.2 * selectedAge) / 3;
+    const adaptationFactor = preset.coneAdaptation;
     L = L * adaptationFactor + (1 - adaptationFactor) * 0.5;
     M = M * adaptationFactor + (1 - adaptationFactor) * 0.5;
     S = S * adaptationFactor + (1 - adaptationFactor) * 0.5;
@@ -423,37 +1711,46 @@ function applyLMSColorProcessing(ctx, width, height, preset, selectedAge) {
     let newB =
       LMS_TO_RGB[2][0] * L + LMS_TO_RGB[2][1] * M + LMS_TO_RGB[2][2] * S;
 
-    // Clamp and encode to sRGB
-    data[i] = Math.round(linearToSrgb(clamp01(newR)) * 255);
-    data[i + 1] = Math.round(linearToSrgb(clamp01(newG)) * 255);
-    data[i + 2] = Math.round(linearToSrgb(clamp01(newB)) * 255);
+    data[i] = clamp01(newR);
+    data[i + 1] = clamp01(newG);
+    data[i + 2] = clamp01(newB);
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  return image;
 }
 
 /**
  * Simulate optical properties (scatter, aberrations)
+ * Chromatic aberration grows with distance from options.fixation, where the
+ * eye's optical axis points
  */
-function applyOpticalEffects(ctx, width, height, preset, selectedAge) {
-  // Light scattering
+function applyOpticalEffects(image, preset, options = {}) {
+  const {width, height} = image;
+
+  // Light scattering: blurred copy screen-blended over the image
   if (preset.scatteringFactor > 0) {
-    ctx.save();
-    ctx.globalAlpha = Math.min(1, preset.scatteringFactor);
-    ctx.filter = `blur(${preset.scatteringFactor * 8}px)`;
-    ctx.globalCompositeOperation = "screen";
-    ctx.drawImage(ctx.canvas, 0, 0, width, height);
-    ctx.restore();
+    const data = image.data;
+    const alpha = Math.min(1, preset.scatteringFactor);
+    const kernel = generateGaussianKernel1D(preset.scatteringFactor * 8);
+    const blurred = convolveSeparable(data, width, height, kernel);
+
+    for (let i = 0; i < data.length; i += 4) {
+      for (let c = 0; c < 3; c++) {
+        const base = data[i + c];
+        const screen = 1 - (1 - base) * (1 - blurred[i + c]);
+        data[i + c] = base + (screen - base) * alpha;
+      }
+    }
   }
 
   // Chromatic aberration (radial, wavelength-dependent)
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const src = imageData.data;
-  const dst = new Uint8ClampedArray(src);
-  const cx = width / 2;
-  const cy = height / 2;
-  const maxR = Math.hypot(cx, cy);
-  const strength = (3 - selectedAge) * 0.6; // px at the border
+  if (preset.chromaticAberrationPx <= 0) return image;
+
+  const src = image.data;
+  const dst = Float32Array.from(src);
+  const {x: cx, y: cy} = getFixationPoint(width, height, options.fixation);
+  const maxR = Math.hypot(width, height) / 2;
+  const strength = preset.chromaticAberrationPx; // px at the border
 
   function sampleNearest(ix, iy, channel) {
     const x = Math.max(0, Math.min(width - 1, Math.round(ix)));
@@ -483,29 +1780,69 @@ function applyOpticalEffects(ctx, width, height, preset, selectedAge) {
     }
   }
 
-  imageData.data.set(dst);
-  ctx.putImageData(imageData, 0, 0);
+  src.set(dst);
+  return image;
+}
+
+/**
+ * Uniform random numbers in [0, 1) from a 32-bit seed (mulberry32)
+ * The same seed always gives the same sequence
+ */
+function createRandom(seed = DEFAULT_RANDOM_SEED) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Noise generator for one view, restarted from its seed on reset, so a
+ * sequence of frames gets the same noise every time it is rendered
+ */
+function createNoiseState() {
+  return {seed: null, random: null};
+}
+
+function resetNoiseState(state) {
+  state.seed = null;
+  state.random = null;
+}
+
+/**
+ * The state's generator, started over when seed differs from its own
+ */
+function getNoiseRandom(state, seed = DEFAULT_RANDOM_SEED) {
+  if (state.seed !== seed) {
+    state.seed = seed;
+    state.random = createRandom(seed);
+  }
+  return state.random;
 }
 
 /**
  * Add photoreceptor noise and neural effects
+ * random() draws the noise; the default repeats the same noise every call
  */
-function applyNeuralEffects(ctx, width, height, preset) {
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
+function applyNeuralEffects(image, preset, random = createRandom()) {
+  const {width, height, data} = image;
 
-  // Photoreceptor noise (signal-dependent, Poisson-like)
+  // Photoreceptor noise (signal-dependent, Poisson-like): the spread grows
+  // with the square root of the light caught
   if (preset.photoreceptorNoise > 0) {
-    const scale = preset.photoreceptorNoise * 0.6;
+    const scale = preset.photoreceptorNoise * PHOTORECEPTOR_NOISE_SCALE;
     for (let i = 0; i < data.length; i += 4) {
       const L = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
-      const sigma = Math.sqrt(Math.max(1, L)) * scale; // heteroscedastic
-      const nR = (Math.random() * 2 - 1) * sigma;
-      const nG = (Math.random() * 2 - 1) * sigma;
-      const nB = (Math.random() * 2 - 1) * sigma;
-      data[i] = Math.max(0, Math.min(255, data[i] + nR));
-      data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + nG));
-      data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + nB));
+      const sigma = Math.sqrt(Math.max(0, L)) * scale; // heteroscedastic
+      const nR = (random() * 2 - 1) * sigma;
+      const nG = (random() * 2 - 1) * sigma;
+      const nB = (random() * 2 - 1) * sigma;
+      data[i] = clamp01(data[i] + nR);
+      data[i + 1] = clamp01(data[i + 1] + nG);
+      data[i + 2] = clamp01(data[i + 2] + nB);
     }
   }
 
@@ -517,33 +1854,9 @@ function applyNeuralEffects(ctx, width, height, preset) {
     const k1 = generateGaussianKernel1D(sigma1);
     const k2 = generateGaussianKernel1D(sigma2);
 
-    // Blur pass 1
-    const temp1 = new Uint8ClampedArray(data.length);
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        applyKernelPixel(data, temp1, width, height, x, y, k1, true);
-      }
-    }
-    const blur1 = new Uint8ClampedArray(data.length);
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        applyKernelPixel(temp1, blur1, width, height, x, y, k1, false);
-      }
-    }
-
-    // Blur pass 2
-    const temp2 = new Uint8ClampedArray(data.length);
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        applyKernelPixel(data, temp2, width, height, x, y, k2, true);
-      }
-    }
-    const blur2 = new Uint8ClampedArray(data.length);
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        applyKernelPixel(temp2, blur2, width, height, x, y, k2, false);
-      }
-    }
+    // Center and surround blurs
+    const blur1 = convolveSeparable(data, width, height, k1);
+    const blur2 = convolveSeparable(data, width, height, k2);
 
     // DoG combine (center minus surround)
     const k = 0.5 * alpha;
@@ -551,64 +1864,131 @@ function applyNeuralEffects(ctx, width, height, preset) {
       const dogR = blur1[i] - blur2[i];
       const dogG = blur1[i + 1] - blur2[i + 1];
       const dogB = blur1[i + 2] - blur2[i + 2];
-      data[i] = Math.max(0, Math.min(255, data[i] - k * dogR));
-      data[i + 1] = Math.max(0, Math.min(255, data[i + 1] - k * dogG));
-      data[i + 2] = Math.max(0, Math.min(255, data[i + 2] - k * dogB));
+      data[i] = clamp01(data[i] - k * dogR);
+      data[i + 1] = clamp01(data[i + 1] - k * dogG);
+      data[i + 2] = clamp01(data[i + 2] - k * dogB);
     }
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  return image;
 }
 
-// Optional temporal integration helper (not used by app.js yet)
-const TEMPORAL_STATE = {
-  buffer: null,
-  width: 0,
-  height: 0,
-  lastTs: 0,
-};
+/**
+ * Temporal state for one view: filtered frames and the last frame time
+ * Each pipeline instance (main thread, worker, comparison pane) owns one
+ */
+function createTemporalState() {
+  return {flicker: null, integrated: null, width: 0, height: 0, lastMs: null};
+}
 
-// Export constants and functions for use in app.js
-export {
-  AGE_PRESETS,
-  applyInfantColorVision,
-  applyPeripheralVision,
-  applySpatialFrequencyFilter,
-  applyLMSColorProcessing,
-  applyOpticalEffects,
-  applyNeuralEffects,
-  applyTemporalIntegration
-};
+function resetTemporalState(state) {
+  state.flicker = null;
+  state.integrated = null;
+  state.width = 0;
+  state.height = 0;
+  state.lastMs = null;
+}
 
-function applyTemporalIntegration(ctx, width, height, preset, nowMs) {
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const curr = imageData.data;
-  const tauMs = Math.max(10, preset.temporalIntegrationMs);
-  const now = typeof nowMs === "number" ? nowMs : performance.now();
-  const dt = TEMPORAL_STATE.lastTs
-    ? Math.max(1, now - TEMPORAL_STATE.lastTs)
-    : 16;
-  const alpha = Math.min(1, dt / tauMs);
+/**
+ * Temporal vision, as two first-order low-passes over time
+ * Flicker above the preset's critical flicker frequency is filtered out
+ * (where it is below the adult's), then frames are integrated over
+ * temporalIntegrationMs, which smears whatever moves.
+ * The state restarts from the current frame after a resize, a backwards
+ * step or a gap longer than TEMPORAL_RESET_GAP_MS.
+ * nowMs is the frame's time on the caller's clock; without one every frame
+ * stands alone, as a still image does.
+ */
+function applyTemporalIntegration(image, preset, state, nowMs) {
+  const {width, height, data} = image;
+  const flickerTauMs =
+    preset.criticalFlickerHz < VISION_CONSTANTS.CFF_ADULT
+      ? 1000 / (2 * Math.PI * preset.criticalFlickerHz)
+      : 0;
+  const integrationTauMs = Math.max(0, preset.temporalIntegrationMs);
+
+  if (flickerTauMs === 0 && integrationTauMs === 0) {
+    resetTemporalState(state);
+    return image;
+  }
+
+  const now = typeof nowMs === "number" ? nowMs : null;
+  const dt = state.lastMs === null || now === null ? null : now - state.lastMs;
+  state.lastMs = now;
 
   if (
-    !TEMPORAL_STATE.buffer ||
-    TEMPORAL_STATE.width !== width ||
-    TEMPORAL_STATE.height !== height
+    !state.integrated ||
+    state.width !== width ||
+    state.height !== height ||
+    dt === null ||
+    dt < 0 ||
+    dt > TEMPORAL_RESET_GAP_MS
   ) {
-    TEMPORAL_STATE.buffer = new Uint8ClampedArray(curr);
-    TEMPORAL_STATE.width = width;
-    TEMPORAL_STATE.height = height;
+    state.flicker = Float32Array.from(data);
+    state.integrated = Float32Array.from(data);
+    state.width = width;
+    state.height = height;
+    return image;
   }
 
-  const prev = TEMPORAL_STATE.buffer;
-  for (let i = 0; i < curr.length; i += 4) {
-    prev[i] = Math.round(prev[i] * (1 - alpha) + curr[i] * alpha);
-    prev[i + 1] = Math.round(prev[i + 1] * (1 - alpha) + curr[i + 1] * alpha);
-    prev[i + 2] = Math.round(prev[i + 2] * (1 - alpha) + curr[i + 2] * alpha);
-    prev[i + 3] = 255;
+  const flickerAlpha = flickerTauMs > 0 ? 1 - Math.exp(-dt / flickerTauMs) : 1;
+  const integrationAlpha =
+    integrationTauMs > 0 ? 1 - Math.exp(-dt / integrationTauMs) : 1;
+  const {flicker, integrated} = state;
+
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      flicker[i + c] += (data[i + c] - flicker[i + c]) * flickerAlpha;
+      integrated[i + c] +=
+        (flicker[i + c] - integrated[i + c]) * integrationAlpha;
+      data[i + c] = integrated[i + c];
+    }
   }
 
-  imageData.data.set(prev);
-  ctx.putImageData(imageData, 0, 0);
-  TEMPORAL_STATE.lastTs = now;
+  return image;
 }
+
+// Export constants and functions for use in app.js, workers and Node
+export {
+  AGE_PRESETS,
+  VISION_CONSTANTS,
+  DEFAULT_CAMERA_HFOV_DEG,
+  DEFAULT_RANDOM_SEED,
+  DEFAULT_FIXATION,
+  WEEKS_PER_MONTH,
+  RGB_TO_LMS,
+  getPresetForAge,
+  formatSnellen,
+  createImageBuffer,
+  createFrame,
+  decodeFrame,
+  encodeFrame,
+  srgbToLinear,
+  linearToSrgb,
+  clamp01,
+  estimatePixelsPerDegree,
+  getFixationPoint,
+  sampleBilinear,
+  getPeripheralCutoff,
+  getContrastSensitivity,
+  getFocalRange,
+  getDefocusBlurDeg,
+  getDepthLevelDiopters,
+  createDepthMap,
+  applyDefocus,
+  applyInfantColorVision,
+  applyPeripheralVision,
+  applyFoveation,
+  applyVisualField,
+  applySpatialFrequencyFilter,
+  applyLMSColorProcessing,
+  applyOpticalEffects,
+  createRandom,
+  createNoiseState,
+  resetNoiseState,
+  getNoiseRandom,
+  applyNeuralEffects,
+  createTemporalState,
+  resetTemporalState,
+  applyTemporalIntegration,
+};
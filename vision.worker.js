@@ -0,0 +1,55 @@
+/**
+ * Vision Worker
+ * Runs the vision pipeline on OffscreenCanvas buffers off the main thread
+ *
+ * Messages in:  {type: "frame", bitmap, views, settings}
+ *               | {type: "reset"} when the source changes
+ * Messages out: {type: "frame", views: [{id, bitmap}]}
+ *               | {type: "error", message}
+ *
+ * views: [{id, preset, width, height}], all rendered from the same bitmap
+ */
+
+import {
+  createViewCache,
+  resetViewCache,
+  pruneViewCache,
+  renderView,
+} from "./pipeline.js";
+import "./stage-plugins.js";
+
+const viewCache = createViewCache((w, h) => new OffscreenCanvas(w, h));
+
+function processFrame({bitmap, views, settings}) {
+  pruneViewCache(
+    viewCache,
+    views.map((view) => view.id)
+  );
+
+  const results = views.map((view) => {
+    const result = renderView(viewCache, bitmap, view, settings);
+    return {id: view.id, bitmap: result.canvas.transferToImageBitmap()};
+  });
+  bitmap.close();
+
+  self.postMessage(
+    {type: "frame", views: results},
+    results.map((result) => result.bitmap)
+  );
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === "reset") {
+    resetViewCache(viewCache);
+    return;
+  }
+  if (message.type !== "frame") return;
+
+  try {
+    processFrame(message);
+  } catch (error) {
+    if (message.bitmap) message.bitmap.close();
+    self.postMessage({type: "error", message: error.message});
+  }
+};